@@ -51,12 +51,41 @@ const novel = await createNovel(
 
     imagesPath: './assets/chars',  // Path to folder with novel characters' portraits.
     imagesType: 'png',             // File extension of your character portraits. Default is png.
+    sprites: {},                   // Layered portraits, e.g. { Kestrel: { layers: ['base', 'outfit', 'face'], defaults: { base: 'body', face: 'calm' },
+                                   // moods: { smiling: { face: 'smile' } } } }. Images are "<imagesPath>/<id>/<layer>/<name>.png".
     appendTo: '#game',             // Where the novel element should be placed. Defaults to document.body.
 
     // -- Advanced parameters. None of them are used here. --
 
     implementations: {},             // Here you can replace some internal engine methods. For example, the way to save and load.
+                                     // Or getScenePortraits(sceneId), which tells what portraits to preload when a scene starts.
     delays: {},                      // Here you can set some engine's animation delays. See the engine file for a list of them.
+    keymap: {},                      // Keys and gamepad buttons by action: { auto: ['r', 'Gamepad2'] }. Arrows or WASD move between options
+                                     // and page links, Space or Enter confirm, Escape calls onMenu. See the engine file for a list of them.
+    migrations: {},                  // Upgrades of older saves, keyed by game data version: { 2: (save) => { save.$.coins = 0 } }.
+    storage: undefined,              // Where saves are kept: "localStorage", "locationHash", "indexedDB", "memory" or an object with
+                                     // read, write and clear methods. Defaults to "locationHash" if useLocationHash is set, else "localStorage".
+    backgroundsPath: './backgrounds/', // Folder with backgrounds shown by bg('forest', { transition: 'fade', time: 1000 }) in scenes.
+    backgroundsType: 'jpg',          // File extension of the backgrounds. Transitions are "dissolve" (default), "fade", "wipe" and "none".
+    audioPath: './audio/',           // Folder with "music", "ambience" and "sfx" subfolders, used by music(), ambience() and sfx() in scenes.
+    audioType: 'mp3',                // File extension of the music and sound files. Default is "mp3".
+    volumes: {},                     // Initial channel volumes from 0 to 1: { music, ambience, sfx, voice }. Change them with novel.setVolume().
+    blips: {},                       // Typing sounds while the text appears: { Raven: { sample: 'blip', pitch: [0.9, 1.1], interval: 50 } }.
+                                     // "*" is for all other characters, "[note]" for notes and "[page]" for passages.
+    voicesPath: undefined,           // Folder with voice lines, named "<character id>/<scene id>-<line index>.mp3". Not set by default, so no voices.
+                                     // A line can have an explicit key instead of the index: Raven `{greeting} Hello!` plays "Raven/start-greeting.mp3".
+                                     // Only character lines are counted. Called scenes count their own lines, and lines in when() callbacks
+                                     // are counted from the event name: "Raven/start-door-0.mp3".
+    voicesType: 'mp3',               // File extension of the voice lines. Default is "mp3".
+    assetVersion: undefined,         // Added to image and sound URLs so that browsers load changed files: "1.2" or { [path]: hash }.
+                                     // In devMode, a new one is made on each page load. Use novel.resolveAssetUrl() in the helpers.
+    historyLength: 100,              // How many lines, passages and choices the backlog ("H" key or mouse wheel) keeps and saves.
+    textSpeed: 0,                    // Typewriter speed in characters per second. 0 (default) shows the text at once, except for pauses.
+    typingUnit: 'char',              // Whether the typewriter types by characters ("char", default) or by words ("word").
+    autoReadSpeed: 20,               // Characters per second the player reads in auto mode ("Q" key). Default is 20.
+    characters: undefined,           // Known characters with their defaults: { Raven: { label: 'Raven', align: 'left', moods: ['happy'],
+                                     // color: '#ccc', className: 'raven', imagesPath: './assets/raven' } }. Typos are reported in devMode.
+    reducedMotion: undefined,        // Turns off the text and portrait animations. Defaults to the "reduce motion" setting of the system.
     defaultAlign: 'right',           // Starting alignment of each character. Default is "right", other possible is "left".
     multiLangSplitRegex: /\s+>>\s+/, // Engine allows multilingual strings, like "Thank you! >> Danke!". /\s+>>\s+/ by default.
     language: -1,                    // Which part of the split string should be shown. Default: -1 (i.e. no translation).
@@ -100,9 +129,9 @@ function getCallbacks() {
         case 'LEAF': novel.log('🍃', 'Last clue found!'); break;
       }
     },
-    onGameEnd(result) {
+    async onGameEnd(result) {
       switch (result) {
-        case 0: novel.clearSaveSlot(); window.location.reload(); break;
+        case 0: await novel.clearSaveSlot(); window.location.reload(); break;
         case 1: window.location = 'https://github.com/uteal/novelwrapper'; break;
       }
     }
@@ -6,6 +6,7 @@
 
 // $     - Persistent data object, its initial fields can be set via initial parameters.
 // _     - Lets the player choose an answer from the options given. To be used with "await".
+// ask   - Lets the player type an answer, like Raven.$setLabel(await ask('Your name?')). To be used with "await".
 // write -
 // erase -
 // when  - Creates an event watcher attached to the current scene. That is how outer events are processed.
@@ -13,10 +14,14 @@
 // note  - Allows you to type text without specifying the speaker. To be used with "await".
 // mute  - Force hide currently visible character and message. For a short pause can be used with "await".
 // sleep - Explicitly pauses the execution flow, gets time in milliseconds. To be used with "await".
+// music - Crossfades the music to the given track, like music('theme', { volume: 0.5 }). Null stops it. Saves restore it.
+// ambience - The same for the background sounds, like ambience('rain'). Both can be used with "await" to wait for the fade.
+// sfx   - Plays a sound effect once, like sfx('door'). With "await" the flow waits until the sound ends.
+// bg    - Changes the background, like bg('tavern', { transition: 'fade' }). Null removes it. With "await" waits for the transition.
 // save  - Saves the current game state immediately. Only use if you know what you're doing.
 // log   - Alias for console.log that will be silent when not in development mode, and also unwraps $ for cleaner view.
 // ext   - An object with your custom data, as given at the initialization step.
-export default ({ $, _, write, erase, when, call, note, mute, sleep, save, log, ext: { showScreen, playMiniGame } }) => ({
+export default ({ $, _, ask, write, erase, when, call, note, mute, sleep, music, ambience, sfx, bg, save, log, ext: { showScreen, playMiniGame } }) => ({
 
   // An example of the most basic scene, completely invisible for a player.
   // It does nothing except redirecting the player to another scene named 'road'.
@@ -120,8 +125,10 @@ export default ({ $, _, write, erase, when, call, note, mute, sleep, save, log,
   },
 
   tavern: async ({ Raven, Innkeeper, Kestrel }) => {
-    // By the way, the game progress is saved every time the player switches between scenes (and only then),
-    // so you shouldn't create scenes that are too long to play through.
+    // By the way, the game progress is saved every time the player switches between scenes. A save made in the middle
+    // of a scene remembers the lines, choices, sleeps and calls already passed, and on load the scene (along with the scenes
+    // it called) is silently fast-forwarded to the exact line. So make sure the scenes behave the same way when replayed
+    // with the same choices.
 
     // By default, at the start of every scene, erase() and mute() functions are invoked, so you don't need
     // to manually hide Raven from the screen.
@@ -178,6 +185,17 @@ export default ({ $, _, write, erase, when, call, note, mute, sleep, save, log,
       _.BEER && log("player chose beer")
       _.WATER && log("player chose water")
       log(_.__value__) // "BEER" or "WATER"
+      _.seen("BEER") && log("beer was chosen here in one of the previous playthroughs")
+
+
+      // A choice can be timed. An object with the "timeout" field (in milliseconds) is not an option,
+      // but the settings. When the time is over, the default option (or the first unlocked one) is chosen.
+
+      await _(
+        { timeout: 5000, default: "WAIT" },
+        { value: "RUN", label: "Run!" },
+        { value: "WAIT", label: "Wait and see." }
+      )
 
     */
 
@@ -259,9 +277,10 @@ export default ({ $, _, write, erase, when, call, note, mute, sleep, save, log,
     // of our data storage. As I said, don't use other variables to store data that needs to persist between scenes.
 
     // Remember that the player can arbitrarily close or reload the game page, and if all the necessary data is not saved,
-    // the player's save slot will be effectively broken. But since writing data storage to a persistent browser memory only
-    // happens between scenes, you don't have to worry about the page reloading somewhere at the middle of a scene where
-    // the data storage is in an intermediate state and not ready.
+    // the player's save slot will be effectively broken. But since saves always keep the data storage as it was at the start
+    // of the scene (the rest is restored by replaying the scene, and the scenes it called, up to the saved line), you don't
+    // have to worry about the page reloading somewhere at the middle of a scene where the data storage is in an intermediate
+    // state and not ready.
 
     // Here I just want to see the contents of the data storage in the console, marked with the fancy floppy disk emoji.
     // [HINT] When you log the game data object using the engine's log function, it additionally unwraps the actual $ value.
@@ -278,9 +297,9 @@ export default ({ $, _, write, erase, when, call, note, mute, sleep, save, log,
       // The called scene of course also has access to the storage ($), so I pass an extra argument there just for demonstration.
       await call('friendly_talk', $.chosen_drink == 'BEER') // If you're interested, "friendly_talk" scene is added immediately after the current one.
 
-      // Once you feel confident in managing the game state, you can save it at any time (by default it only saves between scenes,
-      // where it is safe to do so). Here I update an "autosave" slot so that if the player leaves the game before exiting this scene
-      // (i.e. before "autosave" normally written), he still won't see next time the long dialogue above.
+      // You can save the game state at any time (by default it only saves between scenes). Such a save remembers how far
+      // the player got in the current scene. Here I update an "autosave" slot so that if the player leaves the game before
+      // exiting this scene (i.e. before "autosave" normally written), the game will resume right after the long dialogue above.
       $.friendly_talk_was_shown = true
       save() // the same as 'save("autosave")'
     }
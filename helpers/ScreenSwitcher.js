@@ -6,6 +6,7 @@ export default class ScreenSwitcher {
   #exited = false;
   #switchOnly;
   #searchTemplate;
+  #resolveUrl;
   #element = null;
   #transitionTime;
   #history = [this.#none];
@@ -22,6 +23,7 @@ export default class ScreenSwitcher {
    * @param {object} params Constructor params.
    * @param {string} params.switchOnly Do not search or load images. In this case, you must take care of filling the screen components yourself.
    * @param {string} params.searchTemplate Image search template. The * will be replaced with the requested name. Default is "./screens/*.jpg".
+   * @param {function} params.resolveUrl Gives the URL to load an image path from, e.g. the novel's resolveAssetUrl method.
    * @param {number} params.transitionTime Screen change time in milliseconds.
    * @param {(string|HTMLElement)} params.appendTo Where the element should be placed. Defaults to document.body.
    * @param {function} params.onBeforeScreenShow Fires before the screen starts to appear. Receives the screen name and its html element.
@@ -43,6 +45,7 @@ export default class ScreenSwitcher {
   constructor({
     switchOnly = false,
     searchTemplate = './screens/*.jpg',
+    resolveUrl = (path) => path,
     transitionTime = 1000,
     appendTo = document.body,
     onBeforeScreenShow = async (_name, _elem) => { },
@@ -52,6 +55,7 @@ export default class ScreenSwitcher {
   } = {}) {
     this.#switchOnly = switchOnly;
     this.#searchTemplate = searchTemplate;
+    this.#resolveUrl = resolveUrl;
     this.#transitionTime = transitionTime;
     this.#onBeforeScreenShow = onBeforeScreenShow;
     this.#onAfterScreenHide = onAfterScreenHide;
@@ -143,7 +147,7 @@ export default class ScreenSwitcher {
       let resolve;
       const promise = new Promise((res) => (resolve = res));
       const image = new Image();
-      image.src = this.#searchTemplate.replace('*', name);
+      image.src = this.#resolveUrl(this.#searchTemplate.replace('*', name));
       image.onload = async () => {
         if (this.#exited) {
           resolve();
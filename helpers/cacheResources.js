@@ -5,6 +5,9 @@
  * @param {string} params.fromFile A path to a JSON file with a list of resource paths (relative to the file path).
  * @param {string[]} params.fromList An array with resource paths.
  * @param {function} params.onProgress A callback that gets the number of currently loaded and total resources.
+ * @param {function} params.onError A callback that gets the path of each resource that failed to load.
+ * @param {function} params.resolveUrl Gives the URL to load a resource path from, e.g. the novel's resolveAssetUrl method.
+ * @param {function} params.loadImage Loads the image by path, resolving to false on failure, e.g. the novel's loadImage method, to share its cache.
  * @param {function} params.onComplete Fires on completion, receiving a boolean indicator of whether the download was error-free.
  * @returns {Promise<boolean>} A promise that resolves to the same value that is passed to the onComplete callback.
  * @example
@@ -24,6 +27,9 @@ export default async function cacheResources({
   fromFile = '',
   fromList = [],
   onProgress = (_current, _total) => { },
+  onError = (_path) => { },
+  resolveUrl = (path) => path,
+  loadImage = undefined,
   onComplete = (_success) => { }
 } = {}) {
   const tasks = [];
@@ -39,8 +45,20 @@ export default async function cacheResources({
     ];
   }
   for (const path of fromList) {
+    if (loadImage) {
+      tasks.push(loadImage(path).then((success) => {
+        if (success) {
+          loaded += 1;
+        } else {
+          errors += 1;
+          onError(path);
+        }
+        onProgress(loaded, tasks.length);
+      }));
+      continue;
+    }
     const image = new Image();
-    image.src = path;
+    image.src = resolveUrl(path);
     tasks.push(new Promise((resolve) => {
       image.onload = () => {
         loaded += 1;
@@ -49,6 +67,7 @@ export default async function cacheResources({
       };
       image.onerror = () => {
         errors += 1;
+        onError(path);
         onProgress(loaded, tasks.length);
         resolve();
       };
@@ -1,5 +1,8 @@
 /*! NovelWrapper v0.5.4 | (c) 2026 uteal | MIT License */
 
+// Data of the "memory" storage, shared by all the novels on the page until it is reloaded.
+const memoryStore = new Map();
+
 /**
  * Makes a new novel from the scenes given. Returns a handle with a set of useful methods.
  * @param {string} novelTag A novel-specific name used when saving or restoring a game state.
@@ -13,15 +16,38 @@
  * @param {string} params.watchedAttr The engine will track elements with this attribute, listen to their events and apply CSS classes.
  * @param {string} params.imagesPath Path to the folder with portraits of the novel's characters.
  * @param {string} params.imagesType File extension of the novel's character portraits. Default is "png".
+ * @param {object} params.characters Optional registry of the novel's characters by id: { Kestrel: { label, align, moods, color, className, imagesPath, sprite } }.
+ * Declared values are the defaults of the character. In devMode, unknown ids and undeclared moods are reported as errors.
+ * @param {object} params.sprites Layered portraits by character id: { Kestrel: { layers: ['base', 'outfit', 'face'], defaults: { base: 'body', face: 'calm' }, moods: { smiling: { face: 'smile' } } } }.
+ * Layer images are taken from "<imagesPath>/<id>/<layer>/<name>". Characters not listed here have a single image per mood.
+ * @param {string} params.audioPath Path to the folder with music, ambience and sound effects, each kind in its own subfolder.
+ * @param {string} params.audioType File extension of the music and sound files. Default is "mp3".
+ * @param {object} params.volumes Initial volumes of the audio channels (music, ambience, sfx, voice), from 0 to 1.
+ * @param {object} params.blips Typing sounds by character id: { Raven: { sample, pitch: [0.9, 1.1], interval: 50, volume } }.
+ * "*" is used for characters without their own sound, "[note]" for notes and "[page]" for passages. Samples are taken from the "sfx" folder.
+ * @param {string} params.voicesPath Path to the folder with voice lines of the characters. No voices are played if not set.
+ * @param {string} params.voicesType File extension of the voice lines. Default is "mp3".
+ * @param {string} params.backgroundsPath Path to the folder with background images, shown with bg() in scenes.
+ * @param {string} params.backgroundsType File extension of the background images. Default is "jpg".
+ * @param {(string|object)} params.assetVersion Added to the URLs of images and sounds, so that browsers load them again when they are changed:
+ * a version string, or an object of versions (e.g. file hashes) by asset path. In devMode, defaults to a new value on each page load.
  * @param {(string|null)} params.firstScene Entry point of the novel, defaults to "start". Set to null to prevent the game from starting automatically.
  * @param {string} params.restoreFromSlot The game tries to load from the specified slot, "autosave" by default.
+ * @param {(object|Array)} params.migrations Ordered map of game data versions to functions that upgrade an older save to that version.
  * @param {boolean} params.startOver Should the game ignore the save data and start over?
  * @param {boolean} params.noSaveLoad Do not save or load the game state. Default is false.
  * @param {boolean} params.noKeyboard Ignore keyboard controls. Default is false.
  * @param {boolean} params.useLocationHash If true, the game will store its state as the hash property of the window location object.
+ * @param {(string|object)} params.storage Where saves are kept: "localStorage" (default), "locationHash", "indexedDB", "memory", or an object with read, write and clear methods (may return promises).
  * @param {(string|HTMLElement)} params.appendTo Where the novel element should be placed. Defaults to document.body.
  * @param {object} params.implementations An object with functions that will override certain engine methods. They run in the context of this object.
  * @param {object} params.delays Engine animation delays, for deep customization. See the engine file for a list of them.
+ * @param {object} params.keymap Keys and gamepad buttons of the controls by action, e.g. { auto: ['r', 'Gamepad2'] }. See the engine file for a list of them.
+ * @param {number} params.historyLength How many lines, passages and choices are kept in the backlog (and saved with the game). Default is 100.
+ * @param {number} params.textSpeed Typewriter speed in characters per second. Default is 0, which shows the text at once (except for pauses).
+ * @param {('char'|'word')} params.typingUnit Whether the typewriter reveals the text by characters (default) or by words.
+ * @param {number} params.autoReadSpeed Reading speed in characters per second, used to time the lines in auto mode. Default is 20.
+ * @param {boolean} params.reducedMotion Turns off the animation of the text fragments and portraits. Defaults to the "prefers-reduced-motion" setting of the system.
  * @param {('left'|'right')} params.defaultAlign Starting alignment of each character. Default is "right".
  * @param {RegExp} params.multiLangSplitRegex Delimiter of multilingual strings. /\s+>>\s+/ by default.
  * @param {number} params.language Which part of the split multilingual string should be shown. Default: -1 (i.e. no translation).
@@ -36,15 +62,34 @@ export default (novelTag, factories, {
   watchedAttr                      = undefined,
   imagesPath                       = './images/',
   imagesType                       = 'png',
+  characters: characterDefinitions = undefined,
+  sprites                          = {},
+  audioPath                        = './audio/',
+  audioType                        = 'mp3',
+  volumes: initialVolumes          = {},
+  blips                            = {},
+  voicesPath                       = undefined,
+  voicesType                       = 'mp3',
+  backgroundsPath                  = './backgrounds/',
+  backgroundsType                  = 'jpg',
+  assetVersion                     = undefined,
   firstScene                       = 'start',
   restoreFromSlot                  = 'autosave',
+  migrations                       = {},
   startOver                        = false,
   noSaveLoad                       = false,
   noKeyboard                       = false,
   useLocationHash                  = false,
+  storage                          = useLocationHash ? 'locationHash' : 'localStorage',
   appendTo                         = document.body,
   implementations                  = {},
   delays                           = {},
+  keymap                           = {},
+  historyLength                    = 100,
+  textSpeed                        = 0,
+  typingUnit                       = 'char',
+  autoReadSpeed                    = 20,
+  reducedMotion                    = window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches ?? false,
   defaultAlign: DEFAULT_ALIGN      = 'right',
   multiLangSplitRegex: SPLIT_REGEX = /\s+>>\s+/,
   language: LANGUAGE               = -1
@@ -56,30 +101,70 @@ export default (novelTag, factories, {
 
   const VERSION_NAME = 'Hinata';
 
+  // Built-in save upgrades as [version, upgrade] pairs, in order of engine versions. An engine version
+  // that changes the save format registers the upgrade of the saves made by the previous one here.
+  // The upgrade receives a save made by the engine version it is listed with, and brings it to the
+  // next listed version (the last one, to the current version). Saves of unlisted versions are not loaded.
+  // The list stays empty until an engine version after "Hinata" changes the save format.
+  const ENGINE_MIGRATIONS = [];
+
+  const SAVE_MIGRATIONS = new Map(
+    (Array.isArray(migrations) ? migrations : Object.entries(migrations))
+      .map(([version, upgrade]) => [String(version), upgrade])
+  );
+  const SCHEMA_VERSION = [...SAVE_MIGRATIONS.keys()].at(-1);
+
+  const backgroundsBasePath = backgroundsPath + (backgroundsPath.endsWith('/') ? '' : '/');
+  const backgroundsExtension = backgroundsType.toLowerCase();
+
+  const ASSET_VERSION = assetVersion ?? (DEV_MODE ? Date.now().toString(36) : undefined);
+
   const imagesBasePath = imagesPath + (imagesPath.endsWith('/') ? '' : '/');
   const imagesExtension = imagesType.toLowerCase();
+  const getCharacterImagesPath = (id) => {
+    const path = characterDefinitions?.[id]?.imagesPath;
+    return path ? path + (path.endsWith('/') ? '' : '/') : `${imagesBasePath}${id}/`;
+  };
+  const audioBasePath = audioPath + (audioPath.endsWith('/') ? '' : '/');
+  const audioExtension = audioType.toLowerCase();
+  const voicesBasePath = voicesPath && voicesPath + (voicesPath.endsWith('/') ? '' : '/');
+  const voicesExtension = voicesType.toLowerCase();
 
   const maxPassageCount = 50;
+  const maxJournalCount = 10;
+  const recordsWriteDelay = 1000;
   const pageLinkAttr = 'nw-page-link';
+  const slotListName = '#slots';
+  const seenListName = '#seen';
+  const chosenListName = '#chosen';
 
   let GAME_ENDED = false;
   let onGameReady;
   const descriptorPromise = new Promise((resolve) => { onGameReady = resolve; });
   const ABORT_SIGNAL = 'AbortSignal';
+  const INTERRUPT_SIGNAL = 'InterruptSignal';
 
   const ASSERT_RELEVANCE = () => {
     if (GAME_ENDED) {
       throw ABORT_SIGNAL;
     }
+    if (INTERRUPTED) {
+      throw INTERRUPT_SIGNAL;
+    }
   };
 
   const descriptor = {};
   const lastChoice = new Map();
+  const seenLines = new Set();
+  const chosenOptions = new Map();
 
   const state = {};
   const scenes = {};
   const characters = {};
   const history = [];
+  const journals = [];
+  const flows = new Set();
+  const activeRenders = new Map();
   const pressed = {};
 
   let novel;
@@ -89,8 +174,21 @@ export default (novelTag, factories, {
   let storiesCallback;
   let dialogsCallback;
   let choicesCallback;
+  let choiceTimeout;
+  let chosenBefore = new Set();
   let lastReject;
+  let watchersReject;
+  let redirectTimeout;
+  let slotList;
   let callStackSize = 0;
+  let historyShift = 0;
+  let stepCount = 0;
+  let voiceScopes = [];
+  let replayTarget = 0;
+  let lastLineSeen = false;
+  let autoReadTime = -1;
+  let autoReadTimeout;
+  let voice;
 
   let WRITING = false;
   let SPEAKING = false;
@@ -98,8 +196,15 @@ export default (novelTag, factories, {
   let WAITING_FOR_ACTION = false;
   let SCRIPT_FLOW_ENDED = true;
   let SKIP_TEXT_ANIMATION = false;
+  let SKIP_READ_TEXT = false;
+  let AUTO_READ = false;
+  let BACKLOG_SHOWN = false;
+  let SLEEPING = false;
+  let REPLAYING = false;
+  let INTERRUPTED = false;
 
   let $container;
+  let $backgrounds;
   let $stories;
   let $dialogs;
   let $choices;
@@ -107,11 +212,14 @@ export default (novelTag, factories, {
   let $textbox;
   let $messages;
   let $select;
+  let $ask;
+  let $backlog;
 
   const FRAGMENT_CLASSES = {
     MESSAGE: __ + '-messageFragment',
     PASSAGE: __ + '-passageFragment',
-    OPTION: __ + '-optionFragment'
+    OPTION: __ + '-optionFragment',
+    BACKLOG: __ + '-backlogFragment'
   };
 
   const DELAYS = {
@@ -125,7 +233,23 @@ export default (novelTag, factories, {
     BEFORE_FIRST_NOTE    : 500,
     BEFORE_IDLE_PROCEED  : 400,
     PAGE_SHOW            : 500,
-    PAGE_HIDE            : 500
+    PAGE_HIDE            : 500,
+    AUDIO_FADE           : 1000,
+    BACKGROUND_CHANGE    : 1000,
+    AUTO_READ_BASE       : 1000
+  };
+
+  // Gamepad buttons are named by their index in the standard layout, like "Gamepad0", the left stick is "StickUp" and "StickDown".
+  // Tab is not bound, so that it still moves the focus around the page.
+  const KEYMAP = {
+    advance : [' ', 'Enter', 'Gamepad0'],
+    previous: ['ArrowUp', 'ArrowLeft', 'w', 'a', 'Gamepad12', 'Gamepad14', 'StickUp'],
+    next    : ['ArrowDown', 'ArrowRight', 's', 'd', 'Gamepad13', 'Gamepad15', 'StickDown'],
+    rollback: ['Backspace', 'Gamepad4'],
+    skip    : ['f', 'Gamepad5'],
+    auto    : ['q', 'Gamepad2'],
+    backlog : ['h', 'Gamepad3'],
+    menu    : ['Escape', 'Gamepad1', 'Gamepad9']
   };
 
   // #region CALLBACKS
@@ -215,6 +339,49 @@ export default (novelTag, factories, {
      */
     onOptionClick: null,
 
+    /**
+     * Fires when the player presses the menu key (Escape by default) or gamepad button. A good place to open the game menu.
+     */
+    onMenu: null,
+
+    /**
+     * Fires when the time of a timed choice is over, before its default option is chosen.
+     * @param {any} value The value of the default option.
+     */
+    onChoiceTimeout: null,
+
+    /**
+     * Fires when the game is rolled back to one of the previous lines.
+     * @param {string} id The id of the scene being replayed.
+     */
+    onRollback: null,
+
+    /**
+     * Fires when the mode of skipping already read text is turned on or off.
+     * @param {boolean} enabled Whether the skip mode is on.
+     */
+    onSkipModeChange: null,
+
+    /**
+     * Fires when the auto mode, which advances the text on its own, is turned on or off.
+     * @param {boolean} enabled Whether the auto mode is on.
+     */
+    onAutoModeChange: null,
+
+    /**
+     * Fires when a voice line starts playing.
+     * @param {string} id The character's id.
+     * @param {string} path The voice file path.
+     */
+    onVoiceStart: null,
+
+    /**
+     * Fires when a voice line ends or is stopped.
+     * @param {string} id The character's id.
+     * @param {string} path The voice file path.
+     */
+    onVoiceEnd: null,
+
     /**
      * Fires when a field is set in the game data object ($).
      * Note: Changes to nested structures are not tracked.
@@ -223,64 +390,182 @@ export default (novelTag, factories, {
      */
     onStateChange: null,
 
+    /**
+     * Fires when an older save is upgraded by the given migrations.
+     * @param {string} slotName The slot the save was loaded from.
+     * @param {(string|undefined)} from The version of the save's game data.
+     * @param {string} to The version the save was upgraded to.
+     */
+    onSaveMigrated: null,
+
     /**
      * Fires when the game is ended.
      * @param {any} result The value that ended the game.
      */
-    onGameEnd: null
+    onGameEnd: null,
+
+    /**
+     * Fires when the game state could not be saved.
+     * @param {string} slotName The slot that was being written.
+     * @param {Error} error The storage error.
+     */
+    onSaveError: null,
+
+    /**
+     * Fires when an asset could not be loaded.
+     * @param {string} kind The kind of the asset, e.g. "image".
+     * @param {string} path The path of the asset.
+     */
+    onAssetError: null
+
+  };
+
+  // #region STORAGES
+  const parseSaveData = (key, data) => {
+    if (!data) {
+      return;
+    }
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      throw new Error(`Saved data for "${key}" is corrupt: ${e.message}`);
+    }
+  };
+
+  let database;
+
+  const requestDatabase = async (mode, cb) => {
+    database ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open('NovelWrapper', 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('saves');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    const db = await database;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('saves', mode);
+      const request = cb(transaction.objectStore('saves'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  const STORAGES = {
+
+    localStorage: {
+      read: (key) => parseSaveData(key, localStorage.getItem(key)),
+      write: (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+      clear: (key) => localStorage.removeItem(key)
+    },
+
+    locationHash: {
+      read: (key) => parseSaveData(key, decodeURIComponent(window.location.hash).slice(1))?.[key],
+      write: (key, value) => {
+        let store = {};
+        try { store = JSON.parse(decodeURIComponent(window.location.hash).slice(1)) } catch (e) { }
+        store[key] = value;
+        window.history.pushState(undefined, undefined, '#' + JSON.stringify(store));
+      },
+      clear: (key) => {
+        let store = {};
+        try { store = JSON.parse(decodeURIComponent(window.location.hash).slice(1)) } catch (e) { }
+        delete store[key];
+        window.history.replaceState(undefined, undefined, '#' + JSON.stringify(store));
+      }
+    },
+
+    indexedDB: {
+      read: (key) => requestDatabase('readonly', store => store.get(key)),
+      write: (key, value) => requestDatabase('readwrite', store => store.put(value, key)),
+      clear: (key) => requestDatabase('readwrite', store => store.delete(key))
+    },
+
+    memory: {
+      read: (key) => structuredClone(memoryStore.get(key)),
+      write: (key, value) => { memoryStore.set(key, structuredClone(value)) },
+      clear: (key) => { memoryStore.delete(key) }
+    }
 
   };
 
+  const STORAGE = typeof storage === 'string' ? STORAGES[storage] : storage;
+
+  if (!STORAGE) {
+    throw new Error(`Unknown storage: "${storage}".`);
+  }
+
   // #region IMPLEMENTED
   const IMPLEMENTED = {
 
     getCharacterPortraitPath(id, mood) {
-      return `${imagesBasePath}${id}/${mood}.${imagesExtension}`;
+      return `${getCharacterImagesPath(id)}${mood}.${imagesExtension}`;
+    },
+
+    getCharacterLayerPath(id, layer, name) {
+      return `${getCharacterImagesPath(id)}${layer}/${name}.${imagesExtension}`;
+    },
+
+    // The URL the asset is loaded from. The same path always gives the same URL, so browsers can cache the asset.
+    resolveAssetUrl(path) {
+      const version = typeof ASSET_VERSION === 'object' ? ASSET_VERSION[path] : ASSET_VERSION;
+      return version ? `${path}${path.includes('?') ? '&' : '?'}v=${encodeURIComponent(version)}` : path;
+    },
+
+    // Pairs of character id and mood whose portraits are preloaded when the scene is entered, like [["Raven", "gloomy"]].
+    // By default, they are found in the scene code. Return an empty array to turn the preloading off.
+    getScenePortraits(sceneId, cb) {
+      return findScenePortraits(cb);
+    },
+
+    getBackgroundPath(name) {
+      return `${backgroundsBasePath}${name}.${backgroundsExtension}`;
+    },
+
+    getAudioPath(channel, name) {
+      return `${audioBasePath}${channel}/${name}.${audioExtension}`;
+    },
+
+    // The line key is either the explicit one, like in "{hello} Hello!", or the index of the line among the character lines of the scene.
+    // Lines of a when() callback have the event name before the index, like "door-0".
+    getVoicePath(id, sceneId, lineKey) {
+      if (voicesBasePath) {
+        return `${voicesBasePath}${id}/${sceneId}-${lineKey}.${voicesExtension}`;
+      }
     },
 
     createKey(novelTag, slotName) {
       return `${novelTag}(${slotName})`;
     },
 
+    // The state methods may return promises.
     writeState(key, clonedState) {
       // log('💾', key, clonedState);
-      if (useLocationHash) {
-        let store = {};
-        try { store = JSON.parse(decodeURIComponent(window.location.hash).slice(1)) } catch (e) { }
-        store[key] = clonedState;
-        window.history.pushState(undefined, undefined, '#' + JSON.stringify(store));
-      } else {
-        localStorage.setItem(key, JSON.stringify(clonedState));
-      }
+      return STORAGE.write(key, clonedState);
     },
 
     readState(key) {
       log('↻', key);
-      if (useLocationHash) {
-        let store = {};
-        try { store = JSON.parse(decodeURIComponent(window.location.hash).slice(1)) } catch (e) { }
-        return store[key];
-      } else {
-        let value;
-        try { value = JSON.parse(localStorage.getItem(key)) } catch (e) { }
-        return value;
-      }
+      return STORAGE.read(key);
     },
 
     clearSavedState(key) {
       log('🗑️', key);
-      if (useLocationHash) {
-        let store = {};
-        try { store = JSON.parse(decodeURIComponent(window.location.hash).slice(1)) } catch (e) { }
-        delete store[key];
-        window.history.replaceState(undefined, undefined, '#' + JSON.stringify(store));
-      } else {
-        localStorage.removeItem(key);
-      }
+      return STORAGE.clear(key);
+    },
+
+    // The read lines and the chosen options are stored like the saves, except that they change too often
+    // to be history entries of the location hash, so they are kept in localStorage then.
+    readRecord(key) {
+      return storage === 'locationHash' ? STORAGES.localStorage.read(key) : IMPLEMENTED.readState?.(key);
+    },
+
+    writeRecord(key, value) {
+      return storage === 'locationHash' ? STORAGES.localStorage.write(key, value) : IMPLEMENTED.writeState?.(key, value);
     },
 
     onUserNavigates() {
-      if (useLocationHash) {
+      if (storage === 'locationHash') {
         window.history.go(0);
       }
     }
@@ -304,6 +589,9 @@ export default (novelTag, factories, {
       if (Object.hasOwn(target, prop)) {
         return target[prop].proxy;
       } else {
+        if (DEV_MODE && characterDefinitions && !Object.hasOwn(characterDefinitions, prop)) {
+          console.error(`Unknown character: "${String(prop)}". Declared characters: ${Object.keys(characterDefinitions).join(', ')}.`);
+        }
         target[prop] = new Character(prop);
         return target[prop].proxy;
       }
@@ -311,6 +599,9 @@ export default (novelTag, factories, {
   });
 
   const onStoriesClick = (event, force = false) => {
+    if (!GAME_ENDED && !event?.button && !force && finishRendering(FRAGMENT_CLASSES.PASSAGE)) {
+      return;
+    }
     if (!GAME_ENDED && !event?.button) {
       if (storiesCallback) {
         if (WAITING_FOR_ACTION || force) {
@@ -332,6 +623,9 @@ export default (novelTag, factories, {
   };
 
   const onDialogsClick = (event, force = false) => {
+    if (!GAME_ENDED && !event?.button && !force && finishRendering(FRAGMENT_CLASSES.MESSAGE)) {
+      return;
+    }
     if (!GAME_ENDED && !event?.button && (WAITING_FOR_ACTION || force) && dialogsCallback) {
       WAITING_FOR_ACTION = false;
       const resolve = dialogsCallback;
@@ -341,6 +635,10 @@ export default (novelTag, factories, {
   };
 
   const onSelectClick = async (event, optNum = undefined) => {
+    // The first click only reveals the rest of the option labels.
+    if (!GAME_ENDED && !event?.button && finishRendering(FRAGMENT_CLASSES.OPTION)) {
+      return;
+    }
     if (GAME_ENDED || event?.button || !WAITING_FOR_ACTION || !choicesCallback) {
       return;
     }
@@ -359,12 +657,15 @@ export default (novelTag, factories, {
     if (target.classList.contains(__ + '-select-option-locked')) {
       return;
     }
-    WAITING_FOR_ACTION = false;
     CALLBACKS.onOptionClick?.();
+    await chooseOption(target);
+  };
+
+  const chooseOption = async (target) => {
+    WAITING_FOR_ACTION = false;
+    clearTimeout(choiceTimeout);
     const value = JSON.parse(target.getAttribute('select-option-value'));
-    lastChoice.clear();
-    lastChoice.set(String(value), true);
-    lastChoice.set('__value__', value);
+    setLastChoice(value);
     $select.classList.add(__ + '-select-hidden');
     const resolve = choicesCallback;
     choicesCallback = null;
@@ -374,6 +675,33 @@ export default (novelTag, factories, {
     resolve(value);
   };
 
+  // When the time is over, the default option (or the first unlocked one) is chosen as if it was clicked.
+  const startChoiceTimer = (options, { timeout, default: defaultValue }, $countdown) => {
+    const $options = [...$select.querySelectorAll('.' + __ + '-select-option')];
+    let target = $options.find($option => $option.getAttribute('select-option-value') === JSON.stringify(defaultValue));
+    if (defaultValue !== undefined && !target) {
+      console.error('The default value is not among the options:', defaultValue, options);
+    }
+    target ??= $options.find($option => !$option.classList.contains(__ + '-select-option-locked'));
+    $countdown.firstChild.style.transitionDuration = timeout + 'ms';
+    doubleRAF(() => $countdown.classList.add(__ + '-select-countdown-running'));
+    choiceTimeout = setTimeout(() => {
+      if (GAME_ENDED || !WAITING_FOR_ACTION || !choicesCallback || !target) {
+        return;
+      }
+      const value = JSON.parse(target.getAttribute('select-option-value'));
+      log('⌛', value);
+      CALLBACKS.onChoiceTimeout?.(value);
+      chooseOption(target);
+    }, timeout);
+  };
+
+  const setLastChoice = (value) => {
+    lastChoice.clear();
+    lastChoice.set(String(value), true);
+    lastChoice.set('__value__', value);
+  };
+
   // #region colors
 
   const black = (str) => '\x1b[30m' + str + '\x1b[0m';
@@ -391,9 +719,12 @@ export default (novelTag, factories, {
 
     constructor() {
       Object.assign(DELAYS, delays);
+      Object.assign(KEYMAP, keymap);
 
       $container = div(__ + '-container', __ + '-layer');
 
+      $backgrounds = div(__ + '-backgrounds', __ + '-layer');
+
       $stories = div(__ + '-stories', __ + '-layer');
       $page = div(__ + '-page', __ + '-page-hidden');
       
@@ -403,16 +734,26 @@ export default (novelTag, factories, {
       
       $choices = div(__ + '-choices', __ + '-layer');
       $select = div(__ + '-select', __ + '-select-hidden');
+      $ask = div(__ + '-ask', __ + '-ask-hidden');
+
+      $backlog = div(__ + '-backlog', __ + '-layer', __ + '-backlog-hidden');
 
-      $container.append($stories, $dialogs, $choices);
+      // Screen readers announce the lines and passages once they are fully rendered (see "aria-busy").
+      setAttributes($messages, { 'role': 'log', 'aria-live': 'polite', 'aria-atomic': 'true' });
+      setAttributes($page, { 'role': 'log', 'aria-live': 'polite', 'aria-atomic': 'false' });
+      setAttributes($select, { 'role': 'listbox' });
+      this.setReducedMotion(reducedMotion);
+
+      $container.append($backgrounds, $stories, $dialogs, $choices, $backlog);
       $stories.append($page);
-      $choices.append($select);
+      $choices.append($select, $ask);
       $dialogs.append($textbox);
       $textbox.append($messages);
 
       $stories.addEventListener('pointerup', onStoriesClick);
       $dialogs.addEventListener('pointerup', onDialogsClick);
       $select.addEventListener('pointerup', onSelectClick);
+      $container.addEventListener('wheel', onWheel);
 
       $container.style.pointerEvents = 'none';
 
@@ -439,8 +780,17 @@ export default (novelTag, factories, {
       }
       appendTo.append($container);
 
-      const restored = !startOver && this.loadState(restoreFromSlot);
-      if (restored && restored.version === VERSION_NAME) {
+      this.restore().then(() => onGameReady(descriptor));
+    }
+
+    async restore() {
+      let restored;
+      try {
+        restored = !startOver && this.migrate(await this.loadState(restoreFromSlot), restoreFromSlot);
+      } catch (e) {
+        console.error(e.message);
+      }
+      if (restored) {
         Object.assign(state, restored);
       } else {
         log('🎬', novelTag);
@@ -448,7 +798,8 @@ export default (novelTag, factories, {
         Object.assign(state.$, initialState);
       }
       log('📦', structuredClone(state));
-      onGameReady(descriptor);
+      await this.readSeenLines();
+      await this.readChosenOptions();
     }
 
     setCallbacks(arr) {
@@ -486,8 +837,13 @@ export default (novelTag, factories, {
             call,
             note,
             mute,
-            sleep,
-            save: this.saveState,
+            sleep: wait,
+            music: (name, options) => playTrack('music', name, options),
+            ambience: (name, options) => playTrack('ambience', name, options),
+            sfx,
+            bg: showBackground,
+            ask,
+            save: (slotName) => this.saveState(slotName),
             log,
             ext: externalData
           })
@@ -501,16 +857,31 @@ export default (novelTag, factories, {
       }
     }
 
-    saveState(slotName = 'autosave') {
+    // Resolves to true if the state was saved. Errors are reported to the onSaveError callback.
+    async saveState(slotName = 'autosave', thumbnail = undefined) {
       ASSERT_RELEVANCE();
       if (noSaveLoad) {
-        return;
+        return false;
       }
       const key = IMPLEMENTED.createKey?.(novelTag, slotName);
-      return IMPLEMENTED.writeState?.(key, structuredClone(state));
+      const meta = {
+        time: Date.now(),
+        scene: state.scene,
+        line: structuredClone(history.at(-1)),
+        thumbnail
+      };
+      try {
+        await IMPLEMENTED.writeState?.(key, createSaveData());
+        await this.updateSlotList(slotName, meta);
+      } catch (e) {
+        console.error(`Failed to save the game to slot "${slotName}":`, e);
+        CALLBACKS.onSaveError?.(slotName, e);
+        return false;
+      }
+      return true;
     }
 
-    loadState(slotName) {
+    async loadState(slotName) {
       ASSERT_RELEVANCE();
       if (noSaveLoad) {
         return;
@@ -519,26 +890,302 @@ export default (novelTag, factories, {
       return IMPLEMENTED.readState?.(key);
     }
 
-    clearSaveSlot(slotName) {
+    async clearSaveSlot(slotName) {
       ASSERT_RELEVANCE();
       if (noSaveLoad) {
         return;
       }
       const key = IMPLEMENTED.createKey?.(novelTag, slotName);
+      await this.updateSlotList(slotName, undefined);
       return IMPLEMENTED.clearSavedState?.(key);
     }
 
+    // Tells if the known migrations can bring the save to the current versions, without upgrading it.
+    isSupportedSave(save) {
+      const engineKnown = save.version === VERSION_NAME || ENGINE_MIGRATIONS.some(([version]) => version === save.version);
+      return engineKnown && (save.schema === undefined || SAVE_MIGRATIONS.has(String(save.schema)));
+    }
+
+    // Brings a save made by an older engine or an older version of the game up to date.
+    // Returns undefined if the save cannot be upgraded.
+    migrate(save, slotName) {
+      if (!save) {
+        return;
+      }
+      if (save.version !== VERSION_NAME) {
+        const index = ENGINE_MIGRATIONS.findIndex(([version]) => version === save.version);
+        if (index === -1) {
+          log('🚫', `Save "${slotName}" was made by an unknown engine version:`, save.version);
+          return;
+        }
+        for (let i = index; i < ENGINE_MIGRATIONS.length; i++) {
+          const [version, upgrade] = ENGINE_MIGRATIONS[i];
+          save = upgrade(save) ?? save;
+          save.version = ENGINE_MIGRATIONS[i + 1]?.[0] ?? VERSION_NAME;
+          log('🔧', version, '→', save.version);
+        }
+      }
+      const versions = [...SAVE_MIGRATIONS.keys()];
+      const from = save.schema;
+      const index = from === undefined ? 0 : versions.indexOf(String(from)) + 1;
+      if (from !== undefined && index === 0) {
+        log('🚫', `Save "${slotName}" has an unknown game data version:`, from);
+        return;
+      }
+      if (index < versions.length) {
+        const { scene } = save;
+        for (let i = index; i < versions.length; i++) {
+          log('🔧', save.schema ?? '(none)', '→', versions[i]);
+          save = SAVE_MIGRATIONS.get(versions[i])(save) ?? save;
+          save.schema = versions[i];
+        }
+        // Steps passed in a scene make no sense for another one.
+        if (save.scene !== scene) {
+          delete save.progress;
+        }
+        CALLBACKS.onSaveMigrated?.(slotName, from, save.schema);
+      }
+      return save;
+    }
+
+    // Slot metadata is kept in a separate record, since saves cannot be enumerated.
+    // It is read once and then cached, so that concurrent updates do not overwrite each other.
+    readSlotList() {
+      slotList ??= (async () => {
+        const key = IMPLEMENTED.createKey?.(novelTag, slotListName);
+        try {
+          return (await IMPLEMENTED.readState?.(key)) ?? {};
+        } catch (e) {
+          console.error(e.message);
+          return {};
+        }
+      })();
+      return slotList;
+    }
+
+    async updateSlotList(slotName, meta) {
+      const list = await this.readSlotList();
+      if (meta) {
+        list[slotName] = meta;
+      } else {
+        delete list[slotName];
+      }
+      const key = IMPLEMENTED.createKey?.(novelTag, slotListName);
+      return IMPLEMENTED.writeState?.(key, structuredClone(list));
+    }
+
+    async listSlots() {
+      ASSERT_RELEVANCE();
+      if (noSaveLoad) {
+        return [];
+      }
+      return Object.entries(await this.readSlotList())
+        .map(([name, meta]) => ({ name, ...meta }))
+        .sort((a, b) => b.time - a.time);
+    }
+
+    async exportSave(slotName) {
+      ASSERT_RELEVANCE();
+      const save = await this.loadState(slotName);
+      if (!save) {
+        throw new Error(`Save slot "${slotName}" is empty.`);
+      }
+      const data = {
+        novelTag,
+        version: save.version,
+        schema: save.schema,
+        meta: (await this.readSlotList())[slotName],
+        state: save
+      };
+      return JSON.stringify({ ...data, checksum: checksum(JSON.stringify(data)) });
+    }
+
+    async importSave(blob, slotName) {
+      ASSERT_RELEVANCE();
+      if (noSaveLoad) {
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(blob);
+      } catch (e) {
+        throw new Error(`Imported save is not valid JSON: ${e.message}`);
+      }
+      const { checksum: sum, ...rest } = data ?? {};
+      if (!rest.state || sum === undefined) {
+        throw new Error('Imported data is not a save file.');
+      }
+      if (rest.novelTag !== novelTag) {
+        throw new Error(`Imported save belongs to another novel ("${rest.novelTag}").`);
+      }
+      if (checksum(JSON.stringify(rest)) !== sum) {
+        throw new Error('Imported save is corrupt: checksum mismatch.');
+      }
+      if (rest.state.version !== rest.version || rest.state.schema !== rest.schema) {
+        throw new Error('Imported save is corrupt: version mismatch.');
+      }
+      if (!this.isSupportedSave(rest.state)) {
+        throw new Error(`Imported save has an unsupported version (engine: "${rest.version}", game data: "${rest.schema}").`);
+      }
+      const key = IMPLEMENTED.createKey?.(novelTag, slotName);
+      await IMPLEMENTED.writeState?.(key, rest.state);
+      await this.updateSlotList(slotName, { ...rest.meta, time: Date.now() });
+      log('📥', slotName);
+    }
+
+    // Lines read in any playthrough are remembered apart from the save slots.
+    async readSeenLines() {
+      if (noSaveLoad) {
+        return;
+      }
+      const key = IMPLEMENTED.createKey?.(novelTag, seenListName);
+      try {
+        ((await IMPLEMENTED.readRecord?.(key)) ?? []).forEach(id => seenLines.add(id));
+      } catch (e) {
+        console.error(e.message);
+      }
+    }
+
+    // Returns true if the line was read before.
+    markLineSeen(id) {
+      if (seenLines.has(id)) {
+        return true;
+      }
+      seenLines.add(id);
+      scheduleRecord(seenListName, () => [...seenLines]);
+      return false;
+    }
+
+    // Options chosen in any playthrough are remembered apart from the save slots too, by menu.
+    async readChosenOptions() {
+      if (noSaveLoad) {
+        return;
+      }
+      const key = IMPLEMENTED.createKey?.(novelTag, chosenListName);
+      try {
+        Object.entries((await IMPLEMENTED.readRecord?.(key)) ?? {}).forEach(([menuId, values]) => {
+          chosenOptions.set(menuId, new Set(values));
+        });
+      } catch (e) {
+        console.error(e.message);
+      }
+    }
+
+    markOptionChosen(menuId, value) {
+      const values = chosenOptions.get(menuId) ?? new Set();
+      if (values.has(JSON.stringify(value))) {
+        return;
+      }
+      chosenOptions.set(menuId, values.add(JSON.stringify(value)));
+      scheduleRecord(chosenListName, () => Object.fromEntries([...chosenOptions].map(([id, set]) => [id, [...set]])));
+    }
+
+    setReducedMotion(enabled) {
+      $container.classList.toggle(__ + '-reduced-motion', !!enabled);
+    }
+
+    // Turns on or off the mode in which read lines are passed automatically, until an unread line or a choice.
+    setSkipMode(enabled) {
+      // There is nothing to skip if the player is already at an unread line or a choice.
+      enabled = !!enabled && !(WAITING_FOR_ACTION && !lastLineSeen);
+      if (SKIP_READ_TEXT !== enabled) {
+        SKIP_READ_TEXT = enabled;
+        log(enabled ? '⏭️' : '⏹️', 'Skip mode');
+        CALLBACKS.onSkipModeChange?.(enabled);
+      }
+      if (enabled && lastLineSeen) {
+        onDialogsClick();
+        onStoriesClick();
+      }
+      return enabled;
+    }
+
+    // Plays the voice of a line from the history again. Returns false if the line has no voice.
+    replayVoice(index) {
+      ASSERT_RELEVANCE();
+      const entry = history.at(index);
+      if (!entry?.voice) {
+        return false;
+      }
+      playVoice(entry.id, entry.voice);
+      return true;
+    }
+
+    // Shows the panel with the lines, passages and choices passed.
+    showBacklog() {
+      ASSERT_RELEVANCE();
+      if (BACKLOG_SHOWN) {
+        return true;
+      }
+      BACKLOG_SHOWN = true;
+      this.setSkipMode(false);
+      clearTimeout(autoReadTimeout);
+      $backlog.replaceChildren(...history.map(createBacklogEntry));
+      $backlog.classList.remove(__ + '-backlog-hidden');
+      $backlog.style.pointerEvents = 'all';
+      $backlog.scrollTop = $backlog.scrollHeight;
+      log('📜', history.length);
+      return true;
+    }
+
+    hideBacklog() {
+      if (!BACKLOG_SHOWN) {
+        return false;
+      }
+      BACKLOG_SHOWN = false;
+      $backlog.classList.add(__ + '-backlog-hidden');
+      $backlog.style.pointerEvents = 'none';
+      scheduleAutoRead();
+      return false;
+    }
+
+    // Turns on or off the mode in which lines advance on their own after the time needed to read them.
+    setAutoMode(enabled) {
+      enabled = !!enabled;
+      if (AUTO_READ !== enabled) {
+        AUTO_READ = enabled;
+        log(enabled ? '▶️' : '⏸️', 'Auto mode');
+        CALLBACKS.onAutoModeChange?.(enabled);
+      }
+      scheduleAutoRead();
+      return enabled;
+    }
+
+    async loadSlot(slotName) {
+      ASSERT_RELEVANCE();
+      const restored = this.migrate(await this.loadState(slotName), slotName);
+      if (!restored) {
+        console.error(`Save slot "${slotName}" is empty or incompatible.`);
+        return false;
+      }
+      log('📂', slotName);
+      await this.interrupt();
+      journals.length = 0;
+      history.length = 0;
+      historyShift = 0;
+      for (const key of Object.keys(state)) {
+        delete state[key];
+      }
+      Object.assign(state, restored);
+      this.resetCharacters();
+      this.start();
+      return true;
+    }
+
     createNewState() {
       return {
         scene: firstScene,
         args: [],
         $: {},
         characters: {},
-        version: VERSION_NAME
+        audio: {},
+        background: null,
+        version: VERSION_NAME,
+        schema: SCHEMA_VERSION
       };
     }
 
-    async runScene(id, args = [], autosave = true) {
+    async runScene(id, args = [], autosave = true, journal = undefined) {
       ASSERT_RELEVANCE();
       args = structuredClone(args);
       if (args.length) {
@@ -557,37 +1204,61 @@ export default (novelTag, factories, {
           if (Object.hasOwn(state.characters, ch.id)) {
             ch.setAlign(state.characters[ch.id].align);
             ch.setLabel(state.characters[ch.id].label);
+            ch.setLayers(state.characters[ch.id].layers);
           }
         });
+        syncStage();
       }
       if (!Object.hasOwn(scenes, id)) {
         console.error('Trying to run unknown scene:', id);
         return;
       }
       currentScene = scenes[id];
+      preloadScene(id);
       state.scene = id;
       state.args = structuredClone(args);
+      if (!journal) {
+        journal = { state: structuredClone(state), steps: [] };
+        journals.push(journal);
+        if (journals.length > maxJournalCount) {
+          journals.shift();
+        }
+      }
+      stepCount = 0;
+      voiceScopes = [{ scene: id, count: 0 }];
+      // The tracks and the background of a replayed scene are known only when the replay is finished.
+      if (!REPLAYING) {
+        syncAudio();
+        syncBackground();
+      }
       if (autosave) {
-        this.saveState('autosave');
+        await this.saveState('autosave');
       }
       lastChoice.clear();
+      chosenBefore = new Set();
       await CALLBACKS.onSceneEnter?.(id, autosave);
       let result;
+      const flow = currentScene.run(...args);
+      flows.add(flow);
       try {
-        result = structuredClone(await currentScene.run(...args));
+        result = structuredClone(await flow);
       } catch (e) {
         if (e === ABORT_SIGNAL) {
           log('✋', 'The game was manually interrupted.');
           log('🪂', 'Emergency exiting.');
           return;
+        } else if (e === INTERRUPT_SIGNAL) {
+          return;
         } else {
           throw e;
         }
+      } finally {
+        flows.delete(flow);
       }
       if (typeof result === 'string') {
-        setTimeout(() => this.runScene(result));
+        redirectTimeout = setTimeout(() => this.runScene(result));
       } else if (Array.isArray(result) && typeof result[0] === 'string') {
-        setTimeout(() => this.runScene(result[0], result.slice(1)));
+        redirectTimeout = setTimeout(() => this.runScene(result[0], result.slice(1)));
       } else if (result !== undefined) {
         log('🏁', 'Game ended.');
         CALLBACKS.onGameEnd?.(result);
@@ -605,6 +1276,10 @@ export default (novelTag, factories, {
         console.error(`Event "${event}" occured while the script flow was not ended.`);
         return;
       }
+      if (REPLAYING && journals.at(-1).steps[stepCount]?.event !== event) {
+        log('⏳', 'Ignored while replaying.');
+        return;
+      }
       const watcher = currentScene.watchers.find(obj => obj.event === event);
       if (!watcher) {
         log('🥥', 'No such watcher.');
@@ -615,20 +1290,29 @@ export default (novelTag, factories, {
         return;
       }
       if (watcher) {
+        journalStep('event', { event, args: structuredClone(args) });
         SCRIPT_FLOW_ENDED = false;
         $page.classList.remove(__ + '-page-written');
         CALLBACKS.onEventEnter?.(event, ...args);
         let result;
+        voiceScopes.push({ scene: currentScene.id, event, count: 0 });
+        const flow = watcher.cb(...args);
+        flows.add(flow);
         try {
-          result = structuredClone(await watcher.cb(...args));
+          result = structuredClone(await flow);
         } catch (e) {
           if (e === ABORT_SIGNAL) {
             log('✋', 'The game was manually interrupted.');
             log('🪂', 'Emergency exiting.');
             return;
+          } else if (e === INTERRUPT_SIGNAL) {
+            return;
           } else {
             throw e;
           }
+        } finally {
+          flows.delete(flow);
+          voiceScopes.pop();
         }
         CALLBACKS.onEventLeave?.(event, result);
         if (typeof result === 'string' || (Array.isArray(result) && typeof result[0] === 'string')) {
@@ -644,13 +1328,110 @@ export default (novelTag, factories, {
           $page.classList.add(__ + '-page-written');
           SCRIPT_FLOW_ENDED = true;
           log('⛰️', currentScene.id, '↩');
+          continueReplay();
         }
       }
     }
-  }
 
-  // #region Scene
-  class Scene {
+    async interrupt() {
+      clearTimeout(redirectTimeout);
+      if (!flows.size) {
+        return;
+      }
+      INTERRUPTED = true;
+      watchersReject?.(INTERRUPT_SIGNAL);
+      lastReject?.(INTERRUPT_SIGNAL);
+      rejectSounds(INTERRUPT_SIGNAL);
+      await Promise.allSettled([...flows]);
+      INTERRUPTED = false;
+      WRITING = false;
+      SPEAKING = false;
+      CHOOSING = false;
+      WAITING_FOR_ACTION = false;
+      SCRIPT_FLOW_ENDED = true;
+      storiesCallback = null;
+      dialogsCallback = null;
+      choicesCallback = null;
+      clearTimeout(choiceTimeout);
+      watchersCallback = null;
+      callStackSize = 0;
+      lastLineSeen = false;
+      autoReadTime = -1;
+      clearTimeout(autoReadTimeout);
+      stopVoice();
+      this.setSkipMode(false);
+    }
+
+    async rollback() {
+      ASSERT_RELEVANCE();
+      if (REPLAYING || INTERRUPTED || !journals.length) {
+        return false;
+      }
+      let current = currentStep();
+      for (let j = journals.length - 1; j >= 0; j--) {
+        const journal = journals[j];
+        for (let i = Math.min(current, journal.steps.length) - 1; i >= 0; i--) {
+          if (!['line', 'passage', 'choice', 'input'].includes(journal.steps[i].kind)) {
+            continue;
+          }
+          log('⏪', journal.state.scene, i);
+          const sceneChanged = j < journals.length - 1;
+          await this.interrupt();
+          history.splice(Math.max(0, journal.steps[i].history - historyShift));
+          journals.length = j + 1;
+          // Keys missing from the snapshot, like the audio of older saves, must not survive the rollback.
+          for (const key of Object.keys(state)) {
+            delete state[key];
+          }
+          Object.assign(state, structuredClone(journal.state));
+          this.resetCharacters();
+          CALLBACKS.onRollback?.(state.scene);
+          this.replay(journal, i, sceneChanged);
+          return true;
+        }
+        current = Infinity;
+      }
+      return false;
+    }
+
+    // Drops all the changes of characters that are not in the state.
+    resetCharacters() {
+      Object.values(characters).forEach((ch) => {
+        ch.setAlign(state.characters[ch.id]?.align);
+        ch.setLabel(state.characters[ch.id]?.label);
+        ch.setLayers(state.characters[ch.id]?.layers);
+      });
+      syncStage();
+    }
+
+    // Starts the scene stored in the state, fast-forwarding it to the saved step if there is one.
+    start() {
+      const { progress, history: saved, ...snapshot } = state;
+      delete state.progress;
+      delete state.history;
+      if (saved) {
+        history.splice(0, history.length, ...saved.lines.map(entry => {
+          return entry.markup === undefined ? entry : { ...entry, text: getPlainText(entry.markup) };
+        }));
+        historyShift = saved.shift;
+      }
+      const journal = { state: structuredClone(snapshot), steps: progress?.steps ?? [] };
+      journals.push(journal);
+      if (progress) {
+        log('⏩', state.scene, progress.step);
+      }
+      return this.replay(journal, progress?.step ?? 0, false);
+    }
+
+    replay(journal, target, autosave) {
+      REPLAYING = target > 0;
+      replayTarget = target;
+      return this.runScene(journal.state.scene, journal.state.args, autosave, journal);
+    }
+  }
+
+  // #region Scene
+  class Scene {
 
     watchers = [];
 
@@ -669,12 +1450,17 @@ export default (novelTag, factories, {
         $choices.style.pointerEvents = 'none';
         $page.classList.add(__ + '-page-written');
         if (this.watchers.length) {
-          result = await new Promise((resolve) => {
+          result = await new Promise((resolve, reject) => {
             watchersCallback = resolve;
+            watchersReject = reject;
+            continueReplay();
           });
-        } else if (!hasPageLinks('@')) {
-          // Scene has no active watchers, no scene links and returned undefined.
-          log('🚧', 'The game has stalled.');
+        } else {
+          continueReplay();
+          if (!hasPageLinks('@')) {
+            // Scene has no active watchers, no scene links and returned undefined.
+            log('🚧', 'The game has stalled.');
+          }
         }
       }
       return result;
@@ -698,6 +1484,24 @@ export default (novelTag, factories, {
     }
   }
 
+  // #region stage
+  // Puts on the stage the characters that are there according to the state, and removes the others.
+  const syncStage = () => {
+    for (const [id, data] of Object.entries(state.characters)) {
+      if (data.position !== undefined) {
+        if (!Object.hasOwn(characters, id)) {
+          characters[id] = new Character(id);
+        }
+        characters[id].place(data.position, data.mood);
+      }
+    }
+    for (const ch of Object.values(characters)) {
+      if (ch.position !== undefined && state.characters[ch.id]?.position === undefined) {
+        ch.leave();
+      }
+    }
+  };
+
   // #region createWatcher
   const createWatcher = (event, cb) => {
     ASSERT_RELEVANCE();
@@ -722,11 +1526,15 @@ export default (novelTag, factories, {
     constructor(id) {
       log('🦊', id);
       this.id = id;
+      this.definition = characterDefinitions?.[id] ?? {};
       this.label = '';
-      this.align = DEFAULT_ALIGN;
+      this.align = this.definition.align ?? DEFAULT_ALIGN;
       this.visible = false;
       this.timeout;
       this.mood = 'normal';
+      this.position = undefined;
+      this.sprite = this.definition.sprite ?? sprites[id];
+      this.layers = {};
       this.queue = [];
 
       let nextMood = 'normal';
@@ -782,6 +1590,36 @@ export default (novelTag, factories, {
           this.setLabel(str);
           return this.proxy_;
         },
+        setLayer: (layer, name) => {
+          this.setLayer(layer, name);
+          return this.proxy_;
+        },
+        setOutfit: (name) => {
+          this.setLayer('outfit', name);
+          return this.proxy_;
+        },
+        $setLayer: (layer, name) => {
+          if (!Object.hasOwn(state.characters, id)) {
+            state.characters[id] = {};
+          }
+          state.characters[id].layers = { ...state.characters[id].layers, [layer]: name };
+          this.setLayer(layer, name);
+          return this.proxy_;
+        },
+        $setOutfit: (name) => {
+          if (!Object.hasOwn(state.characters, id)) {
+            state.characters[id] = {};
+          }
+          state.characters[id].layers = { ...state.characters[id].layers, outfit: name };
+          this.setLayer('outfit', name);
+          return this.proxy_;
+        },
+        enter: (position, mood) => {
+          return this.enter(position, mood);
+        },
+        exit: () => {
+          return this.exit();
+        },
         then: () => {
           console.error(
             `Seemingly useless "await" before ${this.id}'s handle. This error may be caused by:\n` +
@@ -843,6 +1681,11 @@ export default (novelTag, factories, {
         __ + '-character-align-' + this.align,
         __ + '-character-inactive'
       );
+      if (this.definition.className) {
+        this.$el.classList.add(this.definition.className);
+      }
+      // The speaker is announced with the line, and the portraits are just decoration.
+      this.$el.setAttribute('aria-hidden', 'true');
       this.$portraits = div(
         __ + '-character-portraits'
       );
@@ -852,17 +1695,19 @@ export default (novelTag, factories, {
         __ + '-label-hidden'
       );
       this.$el.append(this.$portraits, this.$label);
+      this.setLabel();
 
       if (Object.hasOwn(state.characters, id)) {
         const data = state.characters[id];
         this.setAlign(data.align);
         this.setLabel(data.label);
+        this.setLayers(data.layers);
         log('↻', data);
       }
     }
 
     // #region .setAlign
-    setAlign(align = DEFAULT_ALIGN) {
+    setAlign(align = this.definition.align ?? DEFAULT_ALIGN) {
       if (align !== this.align) {
         this.$el.classList.remove(__ + '-character-align-' + this.align);
         this.$el.classList.add(__ + '-character-align-' + align);
@@ -874,7 +1719,7 @@ export default (novelTag, factories, {
     }
 
     // #region .setLabel
-    setLabel(str = '') {
+    setLabel(str = this.definition.label ?? '') {
       if (this.label !== str) {
         this.label = str;
         this.$label.innerText = str;
@@ -888,6 +1733,10 @@ export default (novelTag, factories, {
 
     // #region .setMood
     setMood(mood) {
+      const { moods } = this.definition;
+      if (DEV_MODE && moods && mood !== 'normal' && !moods.includes(mood)) {
+        console.error(`Character "${this.id}" has no declared mood "${mood}". Declared moods: ${moods.join(', ')}.`);
+      }
       if (mood !== this.mood) {
         this.$el.classList.remove(__ + '-character-mood-' + this.mood);
         this.$el.classList.add(__ + '-character-mood-' + mood);
@@ -897,50 +1746,59 @@ export default (novelTag, factories, {
       return false;
     }
 
+    // #region .setLayer
+    // Replaces one layer of a layered portrait, e.g. the outfit. Only the changed layer is crossfaded.
+    setLayer(layer, name) {
+      if (!this.sprite) {
+        console.error(`Character "${this.id}" has no layered portrait, so its layer "${layer}" cannot be set.`);
+        return;
+      }
+      if (this.layers[layer] !== name) {
+        this.layers = { ...this.layers, [layer]: name };
+        this.refreshPortrait();
+      }
+    }
+
+    setLayers(layers = {}) {
+      if (this.sprite && JSON.stringify(layers) !== JSON.stringify(this.layers)) {
+        this.layers = { ...layers };
+        this.refreshPortrait();
+      }
+    }
+
+    async refreshPortrait() {
+      if (this.visible || this.position !== undefined) {
+        const $shown = await this.getPortraits(this.mood);
+        await doubleRAF(() => {
+          $shown.forEach($elem => $elem.classList.remove(__ + '-portrait-hidden'));
+          this.hidePortraits($shown);
+        });
+      }
+    }
+
     // #region .show
     async show(mood = this.mood) {
       const moodChanged = this.setMood(mood);
       const sameHero = !!shownCharacter && shownCharacter === this;
       const sameSide = !!shownCharacter && shownCharacter.align === this.align;
-      let $portrait = this.$portraits.querySelector('.' + __ + '-portrait-mood-' + mood);
-
-      if (!$portrait) {
-        $portrait = div(
-          __ + '-portrait',
-          __ + '-portrait-mood-' + mood,
-          __ + '-portrait-hidden'
-        );
-        this.$portraits.append($portrait);
-        await new Promise((resolve) => {
-          let source = IMPLEMENTED.getCharacterPortraitPath(this.id, mood);
-          if (DEV_MODE) {
-            source += '?' + Math.random();
-          }
-          const image = new Image();
-          image.src = source;
-          image.onload = () => {
-            $portrait.style.backgroundImage = `url('${source}')`;
-            resolve();
-          };
-          image.onerror = () => {
-            resolve();
-          };
-        });
-      } else if ($portrait.classList.contains(__ + '-portrait-hidden')) {
-        this.$portraits.append($portrait);
+      const $shown = await this.getPortraits(mood);
+      if (this.position !== undefined) {
+        state.characters[this.id].mood = mood;
       }
 
       if (!sameHero) {
-        if (sameSide) {
+        // Characters on the stage are only dimmed, so there is no need to wait for them.
+        if (sameSide && shownCharacter.position === undefined) {
           await shownCharacter?.hide();
         } else {
           shownCharacter?.hide();
         }
       }
 
-      if ($portrait.classList.contains(__ + '-portrait-hidden')) {
+      const $appearing = $shown.filter($elem => $elem.classList.contains(__ + '-portrait-hidden'));
+      if ($appearing.length) {
         doubleRAF(() => {
-          $portrait.classList.remove(__ + '-portrait-hidden');
+          $appearing.forEach($elem => $elem.classList.remove(__ + '-portrait-hidden'));
         });
       }
 
@@ -949,11 +1807,15 @@ export default (novelTag, factories, {
         shownCharacter = this;
         $messages.replaceChildren();
         $dialogs.append(this.$el);
+        this.$el.classList.remove(__ + '-character-dimmed');
+        this.$el.classList.add(__ + '-character-speaking');
         // Cancel the cleanup task if any.
         clearTimeout(this.timeout);
         CALLBACKS.onShow?.(this.id);
         await doubleRAF(() => {
           this.$el.classList.remove(__ + '-character-inactive');
+          // A character on the stage may still show another mood.
+          this.hidePortraits($shown);
           $textbox.classList.remove(__ + '-textbox-hidden');
           for (let i = $textbox.classList.length - 1; i >= 0; i--) {
             const className = $textbox.classList[i];
@@ -973,9 +1835,7 @@ export default (novelTag, factories, {
       } else {
         await doubleRAF(async () => {
           await sleep(moodChanged ? DELAYS.CHARACTER_MOOD_CHANGE : 0);
-          for (let i = 0; i < this.$portraits.children.length - 1; i++) {
-            this.$portraits.children[i].classList.add(__ + '-portrait-hidden');
-          }
+          this.hidePortraits($shown);
           this.updateTextboxAlign();
         });
       }
@@ -989,15 +1849,26 @@ export default (novelTag, factories, {
             $textbox.classList.add(__ + '-textbox-hidden');
           }
         });
+      } else if (this.visible && this.position !== undefined) {
+        // A character on the stage stays there, dimmed.
+        this.visible = false;
+        shownCharacter = undefined;
+        this.$el.classList.remove(__ + '-character-speaking');
+        this.$el.classList.add(__ + '-character-dimmed');
+        this.$label.classList.add(__ + '-label-hidden');
+        await doubleRAF(() => {
+          if (!SPEAKING) {
+            $textbox.classList.add(__ + '-textbox-hidden');
+          }
+        });
       } else if (this.visible) {
         this.visible = false;
         shownCharacter = undefined;
+        this.$el.classList.remove(__ + '-character-speaking');
         this.$el.classList.remove(__ + '-character-mood-' + this.mood);
         this.$el.classList.add(__ + '-character-inactive');
         this.$label.classList.add(__ + '-label-hidden');
-        for (const $elem of this.$portraits.children) {
-          $elem.classList.add(__ + '-portrait-hidden');
-        }
+        this.hidePortraits();
         await doubleRAF(() => {
           if (!SPEAKING) {
             $textbox.classList.add(__ + '-textbox-hidden');
@@ -1010,6 +1881,141 @@ export default (novelTag, factories, {
       }
     }
 
+    // Loads the images of the given mood, if they are not loaded yet. Returns the elements to be shown.
+    async getPortraits(mood) {
+      if (!this.sprite) {
+        return [await this.getImage(this.$portraits, __ + '-portrait-mood-' + mood, IMPLEMENTED.getCharacterPortraitPath(this.id, mood))];
+      }
+      const { layers = [], defaults = {}, moods = {} } = this.sprite;
+      const names = { ...defaults, ...this.layers, ...moods[mood] };
+      return Promise.all(
+        layers
+          .filter(layer => names[layer])
+          .map((layer) => {
+            let $layer = this.$portraits.querySelector('.' + __ + '-portrait-layer-' + layer);
+            if (!$layer) {
+              $layer = div(__ + '-portrait-layer', __ + '-portrait-layer-' + layer);
+              // Layers are kept in the order of the definition.
+              const next = layers.slice(layers.indexOf(layer) + 1)
+                .map(name => this.$portraits.querySelector('.' + __ + '-portrait-layer-' + name))
+                .find(Boolean);
+              this.$portraits.insertBefore($layer, next ?? null);
+            }
+            const name = names[layer];
+            return this.getImage($layer, __ + '-portrait-' + layer + '-' + name, IMPLEMENTED.getCharacterLayerPath(this.id, layer, name));
+          })
+      );
+    }
+
+    async getImage($parent, className, source) {
+      let $portrait = [...$parent.children].find($elem => $elem.classList.contains(className));
+
+      if (!$portrait) {
+        $portrait = div(
+          __ + '-portrait',
+          className,
+          __ + '-portrait-hidden'
+        );
+        $parent.append($portrait);
+        if (await loadImage(source)) {
+          $portrait.style.backgroundImage = `url('${IMPLEMENTED.resolveAssetUrl(source)}')`;
+        }
+      } else if ($portrait.classList.contains(__ + '-portrait-hidden')) {
+        $parent.append($portrait);
+      }
+
+      return $portrait;
+    }
+
+    hidePortraits($except = []) {
+      for (const $elem of this.$portraits.querySelectorAll('.' + __ + '-portrait')) {
+        if (!$except.includes($elem)) {
+          $elem.classList.add(__ + '-portrait-hidden');
+        }
+      }
+    }
+
+    // #region .enter
+    // Puts the character on the stage, where it stays until exit, even when others speak.
+    async enter(position = 'center', mood = this.mood) {
+      ASSERT_RELEVANCE();
+      if (!Object.hasOwn(state.characters, this.id)) {
+        state.characters[this.id] = {};
+      }
+      state.characters[this.id].position = position;
+      state.characters[this.id].mood = mood;
+      log('🚪', this.id, position);
+      await this.place(position, mood);
+    }
+
+    // #region .exit
+    async exit() {
+      ASSERT_RELEVANCE();
+      if (Object.hasOwn(state.characters, this.id)) {
+        delete state.characters[this.id].position;
+        delete state.characters[this.id].mood;
+      }
+      log('🚶', this.id);
+      await this.leave();
+    }
+
+    // Positions are named ("left", "center-left", "center", "center-right", "right" or any other styled in CSS),
+    // or given as a number, which is the percentage of the stage width from the left.
+    async place(position, mood = this.mood) {
+      const entering = this.position === undefined;
+      if (!entering && position === this.position && mood === this.mood) {
+        return;
+      }
+      if (!entering) {
+        this.$el.classList.remove(__ + '-character-position-' + (typeof this.position === 'number' ? 'custom' : this.position));
+      }
+      this.position = position;
+      this.$el.classList.add(__ + '-character-staged', __ + '-character-position-' + (typeof position === 'number' ? 'custom' : position));
+      this.$el.style.left = typeof position === 'number' ? position + '%' : '';
+      if (this.visible) {
+        await this.show(mood);
+        return;
+      }
+      this.setMood(mood);
+      const $shown = await this.getPortraits(mood);
+      this.$el.classList.add(__ + '-character-dimmed');
+      if (entering) {
+        clearTimeout(this.timeout);
+        $dialogs.append(this.$el);
+        CALLBACKS.onShow?.(this.id);
+      }
+      await doubleRAF(() => {
+        this.$el.classList.remove(__ + '-character-inactive');
+        $shown.forEach($elem => $elem.classList.remove(__ + '-portrait-hidden'));
+        this.hidePortraits($shown);
+      });
+      if (entering) {
+        await sleep(DELAYS.CHARACTER_SHOW);
+      }
+    }
+
+    async leave() {
+      if (this.position === undefined) {
+        return;
+      }
+      this.$el.classList.remove(
+        __ + '-character-staged',
+        __ + '-character-dimmed',
+        __ + '-character-position-' + (typeof this.position === 'number' ? 'custom' : this.position)
+      );
+      this.$el.style.left = '';
+      this.position = undefined;
+      if (this.visible) {
+        await this.hide();
+        return;
+      }
+      this.$el.classList.add(__ + '-character-inactive');
+      this.hidePortraits();
+      CALLBACKS.onHide?.(this.id);
+      this.timeout = setTimeout(() => this.$el.remove(), 5000);
+      await sleep(DELAYS.CHARACTER_HIDE);
+    }
+
     updateTextboxAlign() {
       if (this.align === 'left') {
         $textbox.classList.remove(__ + '-textbox-right');
@@ -1043,10 +2049,15 @@ export default (novelTag, factories, {
           messages.push(arg);
         }
       }
-      if (this) {
-        $textbox.classList.remove(__ + '-textbox-note');
-        await this.show(modifier);
-      } else {
+      // Lines that are being replayed are skipped, so the speaker appears only before the first shown line.
+      let prepared = false;
+      const prepare = async () => {
+        prepared = true;
+        if (this) {
+          $textbox.classList.remove(__ + '-textbox-note');
+          await this.show(modifier);
+          return;
+        }
         const textboxHidden = $textbox.classList.contains(__ + '-textbox-hidden');
         const delayNeeded = textboxHidden || !!shownCharacter;
         shownCharacter?.hide();
@@ -1066,82 +2077,186 @@ export default (novelTag, factories, {
         if (delayNeeded) {
           await sleep(DELAYS.BEFORE_FIRST_NOTE);
         }
-      }
+      };
       for (let i = 0; i < messages.length; i++) {
         if (typeof messages[i] !== 'string') continue;
+        // Replayed lines are counted too, so that the index does not depend on where the replay stops.
+        const [voiceScene, lineIndex] = this ? nextLineIndex() : [];
+        if (journalStep('line')[1]) {
+          continue;
+        }
+        if (!prepared) {
+          await prepare();
+        }
         let auto = false;
         let autoWaitTime = 0;
         if (typeof messages[i + 1] === 'number') {
           auto = true;
           autoWaitTime = messages[i + 1];
         }
-        const [str, pauses] = stripPauses(translate(messages[i]));
-
+        const seen = seenLines.has(lineId(messages[i]));
+        if (SKIP_READ_TEXT && !seen) {
+          novel.setSkipMode(false);
+        }
+        const skipping = () => SKIP_TEXT_ANIMATION || (SKIP_READ_TEXT && seen);
+        const [voiceKey, message] = splitVoiceKey(messages[i]);
+        const [str, pauses] = stripPauses(translate(message));
+        const voicePath = this ? IMPLEMENTED.getVoicePath?.(this.id, voiceScene, voiceKey ?? lineIndex) : undefined;
+        const voiceEnded = skipping() ? Promise.resolve() : playVoice(this?.id, voicePath);
+
+        let readTime = 0;
+        // Voiced lines have no typing sounds.
+        const blip = voicePath ? undefined : (this ? blips[this.id] ?? blips['*'] : blips['[note]']);
+        let lineBlocks = [];
+        $messages.setAttribute('aria-busy', 'true');
         await renderText(...parseStringWithTags(str, pauses), FRAGMENT_CLASSES.MESSAGE, (blocks) => {
           for (const $elem of blocks) {
             $elem.classList.add(__ + '-message', __ + '-message-' + modifier);
+            if (this?.definition.className) {
+              $elem.classList.add(this.definition.className);
+            }
+            if (this?.definition.color) {
+              $elem.style.color = this.definition.color;
+            }
           }
-          $messages.replaceChildren(...blocks);
-        });
-
-        history.push({
+          // The speaker is not shown in the textbox, but is announced with the line.
+          if (this) {
+            const $speaker = span(__ + '-speaker', __ + '-sr-only');
+            $speaker.innerText = (this.label || this.id) + ': ';
+            $messages.replaceChildren($speaker, ...blocks);
+          } else {
+            $messages.replaceChildren(...blocks);
+          }
+          lineBlocks = blocks;
+          readTime = getReadTime(blocks);
+        }, blip);
+        $messages.setAttribute('aria-busy', 'false');
+
+        novel.markLineSeen(lineId(messages[i]));
+        addToHistory({
+          kind: 'line',
           id: this?.id ?? '[note]',
           label: this?.label ?? '[note]',
-          text: $messages.innerText.replaceAll('\n', ' ')
+          mood: this?.mood,
+          text: lineBlocks.map($elem => $elem.innerText).join('\n').replaceAll('\n', ' '),
+          markup: translate(message),
+          voice: voicePath
         });
-        if (history.length > 100) {
-          history.shift();
-        }
         
         let resolve;
+        let reject;
         const promise = new Promise((res, rej) => {
           resolve = res;
-          lastReject = rej;
+          reject = rej;
         });
 
+        let advanced = false;
+
         const nextPlayerAction = () => {
           WAITING_FOR_ACTION = true;
+          lastReject = reject;
+          // The auto mode lets the voice finish.
+          voiceEnded.then(() => {
+            if (!advanced) {
+              autoReadTime = readTime;
+              scheduleAutoRead();
+            }
+          });
           CALLBACKS.onStopTyping?.();
           return promise;
         };
 
         dialogsCallback = () => {
           $textbox.classList.remove(__ + '-textbox-waiting');
+          advanced = true;
+          autoReadTime = -1;
+          clearTimeout(autoReadTimeout);
           resolve();
         };
         
-        if (SKIP_TEXT_ANIMATION) {
+        if (skipping()) {
           await sleep(DELAYS.BEFORE_IDLE_PROCEED);
         }
         
-        if (SKIP_TEXT_ANIMATION) {
+        if (skipping()) {
           onDialogsClick(null, true);
         } else if (auto) {
-          await sleep(autoWaitTime);
+          await Promise.all([sleep(autoWaitTime), voiceEnded]);
           onDialogsClick(null, true);
         } else {
           await sleep(DELAYS.BEFORE_DIALOGS_ACTIVE);
           $textbox.classList.add(__ + '-textbox-waiting');
-          if (SKIP_TEXT_ANIMATION) {
+          if (skipping()) {
             onDialogsClick(null, true);
           } else {
+            lastLineSeen = seen;
             await nextPlayerAction();
+            lastLineSeen = false;
           }
         }
+        stopVoice();
       }
       SPEAKING = false;
     }
   }
 
   // #region renderText
-  const renderText = (str, tags, pauses, fragmentClass, onParagraphs) => {
-    // console.log(red('renderText'));
+  const renderText = (str, tags, pauses, fragmentClass, onParagraphs, blip = undefined) => {
+    const makeLinks = fragmentClass === FRAGMENT_CLASSES.PASSAGE;
+    const [blocks, fr_map] = buildText(str, tags, pauses, fragmentClass);
+
+    onParagraphs(blocks);
+
+    return new Promise((resolve) => {
+      const entries = [...fr_map.entries()];
+      let timeout;
+      let next = 0;
+      let hurry = false;
+      const render = (i, justWaited) => {
+        timeout = undefined;
+        for (let j = i; j < entries.length; j++) {
+          const delay = entries[j][0] - (entries[j - 1]?.[0] ?? 0);
+          if (!justWaited && !hurry && !SKIP_TEXT_ANIMATION && !SKIP_READ_TEXT && !REPLAYING && delay > 0) {
+            next = j;
+            timeout = setTimeout(() => render(j, true), delay);
+            return;
+          }
+          entries[j][1].forEach(elem => elem.classList.add(fragmentClass + '-rendered'));
+          justWaited = false;
+          if (blip && !hurry && !SKIP_TEXT_ANIMATION && !SKIP_READ_TEXT && !REPLAYING) {
+            playBlip(blip);
+          }
+          CALLBACKS.onRenderFragments?.(!!makeLinks);
+        }
+        activeRenders.delete(finish);
+        resolve();
+      };
+      // Shows the rest of the text at once.
+      const finish = () => {
+        hurry = true;
+        if (timeout !== undefined) {
+          clearTimeout(timeout);
+          render(next, true);
+        }
+      };
+      activeRenders.set(finish, fragmentClass);
+      doubleRAF(() => render(0, false));
+    });
+
+  };
+
+  // Splits the text into paragraphs, words and fragments. Returns the paragraph elements and the fragments grouped by delay.
+  const buildText = (str, tags, pauses, fragmentClass) => {
+    // console.log(red('buildText'));
     // console.log(white('Input data:'));
     // console.log(str.replaceAll('\n', '|'));
     // console.log(tags.map(v => v && v[0] || '.').join(''));
     // console.log(pauses.map(v => v && v.toString()[0] || '-').join(''));
 
     const makeLinks = fragmentClass === FRAGMENT_CLASSES.PASSAGE;
+    // Option labels are always shown at once, backlog entries are not revealed at all.
+    const typingDelay = (textSpeed > 0 && (makeLinks || fragmentClass === FRAGMENT_CLASSES.MESSAGE)) ? 1000 / textSpeed : 0;
+    const typeByChars = typingDelay > 0 && typingUnit !== 'word';
 
     if (pauses.length > str.length) {
       console.error('Do not put a pause at the end of the text (it is ignored).');
@@ -1162,6 +2277,7 @@ export default (novelTag, factories, {
 
     let offset = 0;
     let delay = 0;
+    let typed = 0;
 
     const blocks = [];
     for (const paragraph of str.split(/\n+/)) {
@@ -1176,10 +2292,12 @@ export default (novelTag, factories, {
         let $part;
         let tag;
         for (let i = 0; i < word.length; i++) {
-          if (i === 0 || w_pauses[i] !== 0) {
+          if (i === 0 || w_pauses[i] !== 0 || typeByChars) {
             $fragment = span(fragmentClass);
             $word.append($fragment);
-            delay += w_pauses[i];
+            // The typewriter delays each fragment by the time needed to type the characters before it.
+            delay += w_pauses[i] + typed * typingDelay;
+            typed = 0;
             if (!fr_map.has(delay)) {
               fr_map.set(delay, []);
             }
@@ -1199,6 +2317,7 @@ export default (novelTag, factories, {
             }
           }
           $part.innerText += word[i];
+          typed += 1;
         }
 
         $paragraph.append($word);
@@ -1219,6 +2338,7 @@ export default (novelTag, factories, {
           if (tag[0] === '@' || tag[0] === '&') {
             $part.classList.add(__ + '-link-' + (tag[0] === '@' ? 'scene' : 'event'));
             $part.setAttribute(pageLinkAttr, tag);
+            setAttributes($part, { 'role': 'link', 'tabindex': '-1' });
             splitTags.splice(i, 1);
           }
         }
@@ -1228,26 +2348,19 @@ export default (novelTag, factories, {
       }
     }
 
-    onParagraphs(blocks);
-
-    return new Promise((resolve) => {
-      const entries = [...fr_map.entries()];
-      const render = (i, justWaited) => {
-        for (let j = i; j < entries.length; j++) {
-          const delay = entries[j][0] - (entries[j - 1]?.[0] ?? 0);
-          if (!justWaited && !SKIP_TEXT_ANIMATION && delay > 0) {
-            setTimeout(() => render(j, true), delay);
-            return;
-          }
-          entries[j][1].forEach(elem => elem.classList.add(fragmentClass + '-rendered'));
-          justWaited = false;
-          CALLBACKS.onRenderFragments?.(!!makeLinks);
-        }
-        resolve();
-      };
-      doubleRAF(() => render(0, false));
-    });
+    return [blocks, fr_map];
+  };
 
+  // Finishes the texts of the given kind that are still being revealed. Returns false if there are none.
+  const finishRendering = (fragmentClass) => {
+    let found = false;
+    for (const [finish, cls] of activeRenders) {
+      if (cls === fragmentClass) {
+        finish();
+        found = true;
+      }
+    }
+    return found;
   };
 
   // #region select
@@ -1262,7 +2375,10 @@ export default (novelTag, factories, {
       console.error('Options:', args);
       return;
     }
+    // An object with the "timeout" field is not an option, but the settings of a timed choice.
+    const timer = args.find(arg => arg instanceof Object && !(arg instanceof HTMLElement) && Object.hasOwn(arg, 'timeout'));
     args = args
+      .filter(arg => arg !== timer)
       .map((arg, i) => (
         (arg === undefined || arg === null || arg === false)
           ? undefined
@@ -1276,6 +2392,15 @@ export default (novelTag, factories, {
     if (!args.length) {
       return;
     }
+    // A menu is known by its scene and options. The options chosen before are recorded with the step, for the replays.
+    const menuId = checksum(state.scene + '\n' + args.map(opt => opt.elem ? JSON.stringify(opt.value) : String(opt.label)).join('\n'));
+    const [step, replayed] = journalStep('choice', { chosen: [...(chosenOptions.get(menuId) ?? [])] });
+    chosenBefore = new Set(step?.chosen ?? chosenOptions.get(menuId));
+    if (replayed) {
+      setLastChoice(step.value);
+      return step.value;
+    }
+    novel.setSkipMode(false);
     CHOOSING = true;
     WAITING_FOR_ACTION = true;
     $stories.style.pointerEvents = 'none';
@@ -1290,8 +2415,13 @@ export default (novelTag, factories, {
     for (let opt of args) {
       const $option = div(__ + '-select-option');
       $option.setAttribute('select-option-value', JSON.stringify(opt.value));
+      setAttributes($option, { 'role': 'option', 'tabindex': '-1', 'aria-selected': 'false' });
       if (opt.lock) {
         $option.classList.add(__ + '-select-option-locked');
+        $option.setAttribute('aria-disabled', 'true');
+      }
+      if (chosenBefore.has(JSON.stringify(opt.value))) {
+        $option.classList.add(__ + '-select-option-chosen');
       }
       if (opt.elem) {
         $option.append(opt.elem);
@@ -1306,13 +2436,35 @@ export default (novelTag, factories, {
       }
       $select.append($option);
     }
+    let $countdown;
+    if (timer) {
+      $countdown = div(__ + '-select-countdown');
+      $countdown.setAttribute('aria-hidden', 'true');
+      $countdown.append(div(__ + '-select-countdown-bar'));
+      $select.append($countdown);
+    }
     $select.classList.remove(__ + '-select-hidden');
     CALLBACKS.onShowOptions?.();
     await sleep(DELAYS.BEFORE_SELECT_ACTIVE);
-    return new Promise((resolve, reject) => {
+    const value = await new Promise((resolve, reject) => {
       lastReject = reject;
       choicesCallback = resolve;
+      if (timer) {
+        startChoiceTimer(args, timer, $countdown);
+      }
     });
+    if (step) {
+      step.value = value;
+    }
+    novel.markOptionChosen(menuId, value);
+    const chosen = args.find(opt => JSON.stringify(opt.value) === JSON.stringify(value));
+    addToHistory({
+      kind: 'choice',
+      text: chosen?.elem ? chosen.elem.innerText : String(chosen?.label ?? value),
+      markup: chosen?.elem ? undefined : translate(String(chosen?.label ?? value)),
+      value
+    });
+    return value;
   };
 
   const selectProxy = new Proxy(select, {
@@ -1320,10 +2472,99 @@ export default (novelTag, factories, {
       console.error('This object is readonly.');
     },
     get(_target, prop) {
+      // Tells if the option of the last choice was chosen before, in this or any other playthrough.
+      if (prop === 'seen') {
+        return (value) => chosenBefore.has(JSON.stringify(value));
+      }
       return lastChoice.get(prop);
     }
   });
 
+  // #region ask
+  // Lets the player type an answer. The validation function returns an error message (or false) if the answer is wrong.
+  const ask = async (question = '', { placeholder = '', default: defaultValue = '', maxLength = 100, validate = undefined } = {}) => {
+    ASSERT_RELEVANCE();
+    log('⌨️', question);
+    if (WRITING || SPEAKING || CHOOSING) {
+      console.error(
+        'Cannot ask for an answer because the previous ' +
+        'task was not finished. Check if you placed "await"s correctly.'
+      );
+      console.error('Question:', question);
+      return;
+    }
+    const [step, replayed] = journalStep('input');
+    if (replayed) {
+      return step.value;
+    }
+    novel.setSkipMode(false);
+    CHOOSING = true;
+    $stories.style.pointerEvents = 'none';
+    $dialogs.style.pointerEvents = 'none';
+    $choices.style.pointerEvents = 'all';
+    const $question = div(__ + '-ask-question');
+    renderText(...parseStringWithTags(...stripPauses(translate(String(question)))), FRAGMENT_CLASSES.OPTION, (blocks) => {
+      $question.append(...blocks);
+    });
+    const $input = document.createElement('input');
+    $input.type = 'text';
+    $input.className = __ + '-ask-input';
+    $input.setAttribute('aria-label', $question.innerText);
+    $input.placeholder = translate(placeholder);
+    $input.maxLength = maxLength;
+    $input.value = translate(defaultValue);
+    const $error = div(__ + '-ask-error');
+    $error.setAttribute('role', 'alert');
+    const $submit = div(__ + '-ask-submit');
+    $ask.replaceChildren($question, $input, $error, $submit);
+    $ask.classList.remove(__ + '-ask-hidden', __ + '-ask-invalid');
+    await sleep(DELAYS.BEFORE_SELECT_ACTIVE);
+    $input.focus();
+    let value;
+    try {
+      value = await new Promise((resolve, reject) => {
+        lastReject = reject;
+        const submit = async () => {
+          const str = $input.value.trim();
+          let result;
+          try {
+            result = !str ? false : validate ? await validate(str) : true;
+          } catch (e) {
+            // A failed check rejects the answer, like an invalid one.
+            console.error('Failed to validate the answer:', e);
+            result = typeof e?.message === 'string' ? e.message : false;
+          }
+          const valid = result === true || result === undefined;
+          $ask.classList.toggle(__ + '-ask-invalid', !valid);
+          $error.innerText = typeof result === 'string' ? translate(result) : '';
+          if (valid && !GAME_ENDED && !INTERRUPTED) {
+            resolve(str);
+          }
+        };
+        $input.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' && !noKeyboard) {
+            submit();
+          }
+        });
+        $input.addEventListener('input', () => {
+          $ask.classList.remove(__ + '-ask-invalid');
+        });
+        $submit.addEventListener('pointerup', submit);
+      });
+    } finally {
+      $input.blur();
+      $ask.classList.add(__ + '-ask-hidden');
+    }
+    log('👉', value);
+    if (step) {
+      step.value = value;
+    }
+    addToHistory({ kind: 'choice', text: value, value });
+    await sleep(DELAYS.AFTER_OPTION_CLICK);
+    CHOOSING = false;
+    return value;
+  };
+
   // #region write
   const write = (() => {
 
@@ -1408,13 +2649,25 @@ export default (novelTag, factories, {
     }
     for (let i = 0; i < messages.length; i++) {
       if (typeof messages[i] !== 'string') continue;
+      const replayed = journalStep('passage')[1];
+      const seen = seenLines.has(lineId(messages[i]));
+      if (SKIP_READ_TEXT && !seen && !replayed) {
+        novel.setSkipMode(false);
+      }
+      const skipping = () => SKIP_TEXT_ANIMATION || (SKIP_READ_TEXT && seen);
       let auto = false;
       let autoWaitTime = 0;
       if (typeof messages[i + 1] === 'number') {
         auto = true;
         autoWaitTime = messages[i + 1];
       }
+      let readTime = 0;
+      let text = '';
+      $page.setAttribute('aria-busy', 'true');
       await renderText(...parseStringWithTags(...stripPauses(translate(messages[i]))), FRAGMENT_CLASSES.PASSAGE, (blocks) => {
+        text = blocks.map($elem => $elem.innerText.replaceAll('\n', ' ')).join(' ');
+        // The player is expected to follow the links of a passage, so it is not advanced automatically.
+        readTime = blocks.some($elem => $elem.querySelector(`[${pageLinkAttr}]`)) ? -1 : getReadTime(blocks);
         for (const $elem of blocks) {
           $elem.classList.add(__ + '-passage', __ + '-passage-' + modifier);
           $page.append($elem);
@@ -1425,30 +2678,48 @@ export default (novelTag, factories, {
         if ($page.scrollHeight > $page.clientHeight) {
           $page.scrollTo({ top: $page.scrollHeight, left: 0, behavior: 'smooth' });
         }
+      }, blips['[page]']);
+      $page.setAttribute('aria-busy', 'false');
+
+      // Replayed passages are restored on the page, but do not wait for the player.
+      if (replayed) {
+        continue;
+      }
+      novel.markLineSeen(lineId(messages[i]));
+      addToHistory({
+        kind: 'passage',
+        text,
+        markup: translate(messages[i])
       });
 
       let resolve;
+      let reject;
       const promise = new Promise((res, rej) => {
         resolve = res;
-        lastReject = rej;
+        reject = rej;
       });
 
       const nextPlayerAction = () => {
         WAITING_FOR_ACTION = true;
+        lastReject = reject;
+        autoReadTime = readTime;
+        scheduleAutoRead();
         CALLBACKS.onStopWriting?.();
         return promise;
       };
 
       storiesCallback = () => {
         $page.classList.remove(__ + '-page-waiting');
+        autoReadTime = -1;
+        clearTimeout(autoReadTimeout);
         resolve();
       };
 
-      if (SKIP_TEXT_ANIMATION) {
+      if (skipping()) {
         await sleep(DELAYS.BEFORE_IDLE_PROCEED);
       }
       
-      if (SKIP_TEXT_ANIMATION) {
+      if (skipping()) {
         onStoriesClick(null, true);
       } else if (auto) {
         await sleep(autoWaitTime);
@@ -1456,10 +2727,12 @@ export default (novelTag, factories, {
       } else {
         await sleep(DELAYS.BEFORE_STORIES_ACTIVE);
         $page.classList.add(__ + '-page-waiting');
-        if (SKIP_TEXT_ANIMATION) {
+        if (skipping()) {
           onStoriesClick(null, true);
         } else {
+          lastLineSeen = seen;
           await nextPlayerAction();
+          lastLineSeen = false;
         }
       }
     }
@@ -1477,6 +2750,567 @@ export default (novelTag, factories, {
     $stories.style.pointerEvents = 'none';
   };
 
+  // #region backlog
+  const addToHistory = (entry) => {
+    history.push(entry);
+    while (history.length > historyLength) {
+      history.shift();
+      historyShift += 1;
+    }
+  };
+
+  const getPlainText = (markup) => {
+    return buildText(...parseStringWithTags(...stripPauses(markup)), FRAGMENT_CLASSES.BACKLOG)[0]
+      .map($elem => $elem.innerText.replaceAll('\n', ' ')).join(' ');
+  };
+
+  const createBacklogEntry = ({ kind, id, label, mood, text, markup, voice }, index) => {
+    const $entry = div(__ + '-backlog-entry', __ + '-backlog-' + kind);
+    if (kind === 'line') {
+      if (id === '[note]') {
+        $entry.classList.add(__ + '-backlog-note');
+      } else {
+        $entry.classList.add(__ + '-backlog-of-' + id);
+        if (mood) {
+          $entry.classList.add(__ + '-backlog-mood-' + mood);
+        }
+        const $label = div(__ + '-backlog-label');
+        $label.innerText = label || id;
+        $entry.append($label);
+        const { color, className } = characterDefinitions?.[id] ?? {};
+        if (className) {
+          $entry.classList.add(className);
+        }
+        if (color) {
+          $entry.style.color = color;
+        }
+      }
+    }
+    const $text = div(__ + '-backlog-text');
+    if (markup !== undefined) {
+      $text.append(...buildText(...parseStringWithTags(...stripPauses(markup)), FRAGMENT_CLASSES.BACKLOG)[0]);
+    } else {
+      $text.innerText = text;
+    }
+    $entry.append($text);
+    if (voice) {
+      const $voice = div(__ + '-backlog-voice');
+      $voice.addEventListener('pointerup', () => novel.replayVoice(index));
+      $entry.append($voice);
+    }
+    return $entry;
+  };
+
+  // Scrolling up opens the backlog, unless it scrolls the page. Scrolling down past its end closes it.
+  const onWheel = (event) => {
+    if (GAME_ENDED) {
+      return;
+    }
+    if (BACKLOG_SHOWN) {
+      if (event.deltaY > 0 && $backlog.scrollTop + $backlog.clientHeight >= $backlog.scrollHeight - 1) {
+        novel.hideBacklog();
+      }
+    } else if (event.deltaY < 0 && !($page.contains(event.target) && $page.scrollTop > 0)) {
+      novel.showBacklog();
+    }
+  };
+
+  // #region records
+  // The records are written a moment after their last change, instead of on every line read.
+  const pendingRecords = new Map();
+  let recordsTimeout;
+
+  const scheduleRecord = (name, getData) => {
+    if (noSaveLoad) {
+      return;
+    }
+    pendingRecords.set(name, getData);
+    clearTimeout(recordsTimeout);
+    recordsTimeout = setTimeout(flushRecords, recordsWriteDelay);
+  };
+
+  const flushRecords = () => {
+    clearTimeout(recordsTimeout);
+    for (const [name, getData] of pendingRecords) {
+      const key = IMPLEMENTED.createKey?.(novelTag, name);
+      Promise.resolve(IMPLEMENTED.writeRecord?.(key, getData())).catch((e) => {
+        console.error(`Failed to store the "${name}" record:`, e);
+      });
+    }
+    pendingRecords.clear();
+  };
+
+  // #region journal
+
+  /**
+   * Registers the next blocking step (line, passage, choice, sleep, call or event) of the current scene.
+   * Returns the step record and a flag telling whether the step is being replayed.
+   */
+  const journalStep = (kind, data = {}) => {
+    const journal = journals.at(-1);
+    if (!journal) {
+      return [undefined, false];
+    }
+    if (REPLAYING) {
+      const step = journal.steps[stepCount];
+      if (stepCount < replayTarget && step?.kind === kind && step.event === data.event && step.scene === data.scene) {
+        stepCount += 1;
+        return [step, true];
+      }
+      if (stepCount < replayTarget) {
+        console.error(`Replay of scene "${journal.state.scene}" diverged at step ${stepCount}: expected "${step?.kind}", got "${kind}".`);
+      }
+      finishReplay();
+    }
+    journal.steps.length = stepCount;
+    const step = { kind, history: historyShift + history.length, ...data };
+    journal.steps.push(step);
+    stepCount += 1;
+    return [step, false];
+  };
+
+  // The index of the step the player is at. A step being shown right now is not considered passed.
+  const currentStep = () => {
+    return (WRITING || SPEAKING || CHOOSING || SLEEPING) ? stepCount - 1 : stepCount;
+  };
+
+  // The state at the start of the current scene, along with the steps passed in it and the backlog up to them.
+  const createSaveData = () => {
+    const journal = journals.at(-1);
+    if (!journal) {
+      return structuredClone(state);
+    }
+    const step = REPLAYING ? replayTarget : currentStep();
+    const end = (journal.steps[step]?.history ?? historyShift + history.length) - historyShift;
+    // The text of the entries is left out where it can be built again from the markup, to keep the saves small.
+    const lines = history.slice(0, Math.max(0, end)).map(({ text, ...entry }) => entry.markup === undefined ? { text, ...entry } : entry);
+    const saved = { shift: historyShift, lines };
+    if (!step) {
+      return structuredClone({ ...journal.state, history: saved });
+    }
+    return structuredClone({ ...journal.state, history: saved, progress: { step, steps: journal.steps.slice(0, step) } });
+  };
+
+  // Called when the script flow ends: replays the recorded events, if any.
+  const continueReplay = () => {
+    if (!REPLAYING) {
+      return;
+    }
+    const step = journals.at(-1).steps[stepCount];
+    if (stepCount < replayTarget && step?.kind === 'event') {
+      setTimeout(() => novel.notify(step.event, ...step.args));
+    } else {
+      finishReplay();
+    }
+  };
+
+  const finishReplay = () => {
+    log('⏯️', currentScene?.id, stepCount);
+    REPLAYING = false;
+    replayTarget = 0;
+    syncAudio();
+    syncBackground();
+  };
+
+  // #region auto mode
+
+  // Time needed to read the rendered text at the configured speed.
+  const getReadTime = (blocks) => {
+    const length = blocks.reduce((acc, $elem) => acc + $elem.textContent.length, 0);
+    return DELAYS.AUTO_READ_BASE + Math.round(length / autoReadSpeed * 1000);
+  };
+
+  // Advances the line the player is waiting at, if the auto mode is on. Choices and watchers are always waited for.
+  const scheduleAutoRead = () => {
+    clearTimeout(autoReadTimeout);
+    if (AUTO_READ && WAITING_FOR_ACTION && !BACKLOG_SHOWN && autoReadTime >= 0) {
+      autoReadTimeout = setTimeout(() => {
+        onDialogsClick();
+        onStoriesClick();
+      }, autoReadTime);
+    }
+  };
+
+  // #region audio
+  const volumes = { music: 1, ambience: 1, sfx: 1, voice: 1, ...initialVolumes };
+  const tracks = {};
+  const effects = new Map();
+  const blockedAudio = new Set();
+  const fadeTimeouts = new Map();
+  const soundRejects = new Set();
+
+  // Browsers do not play audio until the player interacts with the page, so blocked sounds are retried then.
+  const playAudio = (audio) => {
+    audio.play().catch((e) => {
+      if (e?.name === 'NotAllowedError') {
+        blockedAudio.add(audio);
+      }
+    });
+  };
+
+  const resumeBlockedAudio = () => {
+    blockedAudio.forEach(audio => playAudio(audio));
+    blockedAudio.clear();
+  };
+
+  const fadeAudio = (audio, volume, ms) => {
+    clearTimeout(fadeTimeouts.get(audio));
+    return new Promise((resolve) => {
+      const from = audio.volume;
+      const start = Date.now();
+      const step = () => {
+        const progress = ms > 0 ? Math.min(1, (Date.now() - start) / ms) : 1;
+        audio.volume = from + (volume - from) * progress;
+        if (progress < 1) {
+          fadeTimeouts.set(audio, setTimeout(step, 25));
+        } else {
+          fadeTimeouts.delete(audio);
+          resolve();
+        }
+      };
+      step();
+    });
+  };
+
+  // Sounds outlive the flow that awaits them, so interrupt() and remove() reject the wait like they do for sleep.
+  const awaitSound = (promise) => {
+    let reject;
+    const wait = new Promise((resolve, rej) => {
+      reject = rej;
+      promise.then(resolve);
+    }).finally(() => soundRejects.delete(reject));
+    soundRejects.add(reject);
+    // A sound that is not awaited must not report the rejection as unhandled.
+    wait.catch(() => { });
+    return wait;
+  };
+
+  const rejectSounds = (signal) => {
+    soundRejects.forEach(reject => reject(signal));
+    soundRejects.clear();
+  };
+
+  // Crossfades the channel to the given track. Null stops the channel.
+  const setTrack = (channel, name, { volume = 1, loop = true, fade = DELAYS.AUDIO_FADE } = {}) => {
+    const current = tracks[channel];
+    if (current && current.name === name) {
+      current.volume = volume;
+      current.audio.loop = loop;
+      return fadeAudio(current.audio, volumes[channel] * volume, fade);
+    }
+    const fades = [];
+    if (current) {
+      delete tracks[channel];
+      blockedAudio.delete(current.audio);
+      fades.push(fadeAudio(current.audio, 0, fade).then(() => current.audio.pause()));
+    }
+    if (name) {
+      const audio = new Audio(IMPLEMENTED.resolveAssetUrl(IMPLEMENTED.getAudioPath(channel, name)));
+      audio.loop = loop;
+      audio.volume = 0;
+      tracks[channel] = { name, volume, audio };
+      playAudio(audio);
+      fades.push(fadeAudio(audio, volumes[channel] * volume, fade));
+    }
+    return Promise.all(fades);
+  };
+
+  // The scene version: the track is stored in the state, so that saves restore it. Resolves when the fade is over.
+  const playTrack = async (channel, name, options = {}) => {
+    ASSERT_RELEVANCE();
+    state.audio ??= {};
+    if (name) {
+      const { volume = 1, loop = true } = options;
+      state.audio[channel] = { name, volume, loop };
+      log(channel === 'music' ? '🎵' : '🌧️', name);
+    } else {
+      delete state.audio[channel];
+    }
+    if (!REPLAYING) {
+      await awaitSound(setTrack(channel, name, options));
+    }
+  };
+
+  // Makes the playing tracks match the state.
+  const syncAudio = () => {
+    for (const channel of ['music', 'ambience']) {
+      const { name = null, volume, loop } = state.audio?.[channel] ?? {};
+      setTrack(channel, name, { volume, loop });
+    }
+  };
+
+  // Plays a sound effect. Resolves when it ends.
+  const sfx = (name, { volume = 1 } = {}) => {
+    ASSERT_RELEVANCE();
+    if (REPLAYING || SKIP_TEXT_ANIMATION || SKIP_READ_TEXT) {
+      return Promise.resolve();
+    }
+    const audio = new Audio(IMPLEMENTED.resolveAssetUrl(IMPLEMENTED.getAudioPath('sfx', name)));
+    audio.volume = volumes.sfx * volume;
+    effects.set(audio, volume);
+    return awaitSound(new Promise((resolve) => {
+      const end = () => {
+        effects.delete(audio);
+        resolve();
+      };
+      audio.addEventListener('ended', end);
+      audio.addEventListener('error', end);
+      playAudio(audio);
+    }));
+  };
+
+  const blipTimes = new Map();
+  const blipSamples = new Map();
+
+  // Plays a typing sound at a random pitch, no more often than the interval allows.
+  const playBlip = (blip) => {
+    const { sample, pitch = [1, 1], interval = 50, volume = 1 } = blip;
+    const now = Date.now();
+    if (!sample || now - (blipTimes.get(blip) ?? -Infinity) < interval) {
+      return;
+    }
+    blipTimes.set(blip, now);
+    const path = IMPLEMENTED.getAudioPath('sfx', sample);
+    if (!blipSamples.has(path)) {
+      blipSamples.set(path, new Audio(IMPLEMENTED.resolveAssetUrl(path)));
+    }
+    const audio = blipSamples.get(path).cloneNode();
+    const [min, max] = Array.isArray(pitch) ? pitch : [pitch, pitch];
+    audio.preservesPitch = false;
+    audio.playbackRate = min + Math.random() * (max - min);
+    audio.volume = volumes.sfx * volume;
+    // Missed blips are not worth retrying.
+    audio.play().catch(() => { });
+  };
+
+  const setVolume = (channel, value) => {
+    if (!Object.hasOwn(volumes, channel)) {
+      console.error('Unknown audio channel:', channel);
+      return;
+    }
+    volumes[channel] = Math.min(1, Math.max(0, +value || 0));
+    if (tracks[channel]) {
+      fadeAudio(tracks[channel].audio, volumes[channel] * tracks[channel].volume, 0);
+    }
+    if (channel === 'sfx') {
+      effects.forEach((volume, audio) => audio.volume = volumes.sfx * volume);
+    }
+    if (channel === 'voice' && voice) {
+      voice.audio.volume = volumes.voice;
+    }
+  };
+
+  const stopAudio = () => {
+    for (const channel of Object.keys(tracks)) {
+      tracks[channel].audio.pause();
+      delete tracks[channel];
+    }
+    effects.forEach((_volume, audio) => audio.pause());
+    effects.clear();
+    rejectSounds(ABORT_SIGNAL);
+    blockedAudio.clear();
+    fadeTimeouts.forEach(timeout => clearTimeout(timeout));
+    fadeTimeouts.clear();
+    stopVoice();
+  };
+
+  // #region voice
+
+  // The lines of characters are counted in the scene they are written in, so the called scenes have their own count.
+  // The lines of a when() callback are counted from its start and named after its event, as the player may trigger it at any time.
+  const nextLineIndex = () => {
+    const scope = voiceScopes.at(-1);
+    const index = scope.count++;
+    return [scope.scene, scope.event === undefined ? index : `${scope.event}-${index}`];
+  };
+
+  // Plays a voice line, stopping the previous one. Missing files are ignored, like missing portraits.
+  // Resolves when the voice ends or is stopped.
+  const playVoice = (id, path) => {
+    stopVoice();
+    if (!path) {
+      return Promise.resolve();
+    }
+    const current = { id, path, audio: new Audio(IMPLEMENTED.resolveAssetUrl(path)), started: false };
+    current.audio.volume = volumes.voice;
+    const ended = new Promise((resolve) => { current.resolve = resolve; });
+    current.audio.addEventListener('ended', () => endVoice(current));
+    current.audio.addEventListener('error', () => endVoice(current));
+    voice = current;
+    current.audio.play().then(() => {
+      if (voice === current) {
+        current.started = true;
+        CALLBACKS.onVoiceStart?.(id, path);
+      }
+    }).catch(() => endVoice(current));
+    return ended;
+  };
+
+  const endVoice = (current) => {
+    if (voice !== current) {
+      return;
+    }
+    voice = undefined;
+    current.audio.pause();
+    if (current.started) {
+      CALLBACKS.onVoiceEnd?.(current.id, current.path);
+    }
+    current.resolve();
+  };
+
+  const stopVoice = () => {
+    if (voice) {
+      endVoice(voice);
+    }
+  };
+
+  // Separates the explicit voice key from the line: "{hello} Hello!" gives ["hello", "Hello!"].
+  const splitVoiceKey = (str) => {
+    const match = str.match(/^\{([\w.-]+)\}\s*/);
+    return match ? [match[1], str.slice(match[0].length)] : [undefined, str];
+  };
+
+  // #region background
+  const BACKGROUND_TRANSITIONS = ['dissolve', 'fade', 'wipe', 'none'];
+
+  // The last requested background and the promise of its change, so that the changes are applied in order.
+  let backgroundName = null;
+  let backgroundChange = Promise.resolve();
+
+  // Changes the shown background with the given transition. Null removes the background.
+  const setBackground = (name, { transition = 'dissolve', time = DELAYS.BACKGROUND_CHANGE } = {}) => {
+    if (name === backgroundName) {
+      return backgroundChange;
+    }
+    if (!BACKGROUND_TRANSITIONS.includes(transition)) {
+      console.error(`Unknown background transition: "${transition}". Possible ones: ${BACKGROUND_TRANSITIONS.join(', ')}.`);
+      transition = 'dissolve';
+    }
+    if (transition === 'none') {
+      time = 0;
+    }
+    backgroundName = name;
+    backgroundChange = backgroundChange.then(async () => {
+      const $previous = [...$backgrounds.children];
+      if (name) {
+        await loadImage(IMPLEMENTED.getBackgroundPath(name));
+      }
+      // The fade hides the previous background first, and then shows the new one.
+      if (transition === 'fade' && $previous.length) {
+        time /= 2;
+        for (const $elem of $previous) {
+          $elem.style.transitionDuration = time + 'ms';
+          $elem.classList.add(__ + '-background-hidden');
+        }
+        await new Promise(resolve => setTimeout(resolve, time));
+      }
+      if (name) {
+        const $background = div(__ + '-background', __ + '-background-' + name);
+        $background.style.backgroundImage = `url('${IMPLEMENTED.resolveAssetUrl(IMPLEMENTED.getBackgroundPath(name))}')`;
+        $background.style.transitionDuration = time + 'ms';
+        const from = transition === 'wipe' ? __ + '-background-wiped' : __ + '-background-hidden';
+        if (time) {
+          $background.classList.add(from);
+        }
+        $backgrounds.append($background);
+        if (time) {
+          await doubleRAF(() => $background.classList.remove(from));
+        }
+      } else if (transition !== 'fade') {
+        for (const $elem of $previous) {
+          $elem.style.transitionDuration = time + 'ms';
+          $elem.classList.add(__ + '-background-hidden');
+        }
+      }
+      if (time) {
+        await new Promise(resolve => setTimeout(resolve, time));
+      }
+      $previous.forEach($elem => $elem.remove());
+    });
+    return backgroundChange;
+  };
+
+  // The scene version: the background is stored in the state, so that saves restore it. Resolves when the transition is over.
+  const showBackground = async (name, options = {}) => {
+    ASSERT_RELEVANCE();
+    state.background = name ?? null;
+    log('🏞️', name);
+    if (!REPLAYING) {
+      await setBackground(state.background, SKIP_READ_TEXT ? { ...options, transition: 'none' } : options);
+      ASSERT_RELEVANCE();
+    }
+  };
+
+  // Makes the shown background match the state at once.
+  const syncBackground = () => {
+    setBackground(state.background ?? null, { transition: 'none' });
+  };
+
+  // #region preload
+  // Loading images by path, shared by the preloading and the characters. Resolves to false if the image is missing.
+  const images = new Map();
+
+  const loadImage = (path) => {
+    if (!images.has(path)) {
+      images.set(path, new Promise((resolve) => {
+        const image = new Image();
+        image.src = IMPLEMENTED.resolveAssetUrl(path);
+        image.onload = () => resolve(true);
+        image.onerror = () => {
+          if (DEV_MODE) {
+            console.error('Missing image:', path);
+          }
+          CALLBACKS.onAssetError?.('image', path);
+          resolve(false);
+        };
+      }));
+    }
+    return images.get(path);
+  };
+
+  // The image paths of a character's mood, the same as the ones used by the character itself.
+  const getPortraitPaths = (id, mood) => {
+    const character = characters[id];
+    const sprite = character ? character.sprite : characterDefinitions?.[id]?.sprite ?? sprites[id];
+    if (!sprite) {
+      return [IMPLEMENTED.getCharacterPortraitPath(id, mood)];
+    }
+    const { layers = [], defaults = {}, moods = {} } = sprite;
+    const names = { ...defaults, ...(character ? character.layers : state.characters[id]?.layers), ...moods[mood] };
+    return layers
+      .filter(layer => names[layer])
+      .map(layer => IMPLEMENTED.getCharacterLayerPath(id, layer, names[layer]));
+  };
+
+  // Finds the characters destructured from the first argument of a scene, like ({ Raven, Kestrel: K }),
+  // and the moods of their lines, like Raven.gloomy `...`, or of their entrances, like K.enter('left', 'happy').
+  const findScenePortraits = (cb) => {
+    const source = cb.toString();
+    const params = source.match(/^[^(]*\(\s*\{([^}]*)\}/)?.[1];
+    if (!params) {
+      return [];
+    }
+    const pairs = new Map();
+    for (const param of params.split(',')) {
+      const [id, alias = id] = param.split('=')[0].split(':').map(str => str.trim());
+      if (!/^[\w$]+$/.test(id) || !/^[\w$]+$/.test(alias)) {
+        continue;
+      }
+      const name = alias.replaceAll('$', '\\$');
+      const lines = new RegExp(`(?<![\\w$.])${name}(?:\\.([\\w$]+))?\\s*\``, 'g');
+      const entrances = new RegExp(`(?<![\\w$.])${name}\\.enter\\([^,)]*,\\s*['"]([\\w$-]+)['"]`, 'g');
+      for (const [, mood = 'normal'] of [...source.matchAll(lines), ...source.matchAll(entrances)]) {
+        pairs.set(id + '.' + mood, [id, mood]);
+      }
+    }
+    return [...pairs.values()];
+  };
+
+  const preloadScene = (sceneId) => {
+    const pairs = IMPLEMENTED.getScenePortraits(sceneId, scenes[sceneId].cb);
+    return Promise.all(pairs.flatMap(([id, mood]) => getPortraitPaths(id, mood)).map(loadImage));
+  };
+
   // #region utils
   const div = (...classes) => {
     const el = document.createElement('div');
@@ -1494,6 +3328,12 @@ export default (novelTag, factories, {
     return el;
   };
 
+  const setAttributes = ($elem, attributes) => {
+    for (const [name, value] of Object.entries(attributes)) {
+      $elem.setAttribute(name, value);
+    }
+  };
+
   const doubleRAF = (cb) => {
     return new Promise((resolve) => {
       requestAnimationFrame(() => {
@@ -1553,6 +3393,11 @@ export default (novelTag, factories, {
     document.removeEventListener('keydown', onKeyDown);
     document.removeEventListener('keyup', onKeyUp);
     window.removeEventListener('popstate', onPopState);
+    window.removeEventListener('gamepadconnected', onGamepadConnected);
+    window.removeEventListener('pagehide', flushRecords);
+    cancelAnimationFrame(gamepadFrame);
+    document.removeEventListener('pointerdown', resumeBlockedAudio);
+    document.removeEventListener('keydown', resumeBlockedAudio);
     if (watchedAttr) {
       document.querySelectorAll(`[${watchedAttr}]`).forEach((el) => {
         el.removeEventListener('pointerup', onWatchedElementClick);
@@ -1588,6 +3433,8 @@ export default (novelTag, factories, {
       console.error(`Scene "${sceneId}" cannot be called: stack size limit reached (${callStackSize}).`);
       return;
     }
+    // A replayed call runs the called scene again, which replays its own steps and restores the changes it made.
+    journalStep('call', { scene: sceneId });
     callStackSize += 1;
     args = structuredClone(args);
     if (args.length) {
@@ -1596,8 +3443,15 @@ export default (novelTag, factories, {
       log('💬', sceneId);
     }
     return (async () => {
+      preloadScene(sceneId);
       await CALLBACKS.onSceneCall?.(sceneId);
-      const result = structuredClone(await scenes[sceneId].cb(charactersProxy, ...args));
+      voiceScopes.push({ scene: sceneId, count: 0 });
+      let result;
+      try {
+        result = structuredClone(await scenes[sceneId].cb(charactersProxy, ...args));
+      } finally {
+        voiceScopes.pop();
+      }
       callStackSize -= 1;
       if (!callStackSize) {
         log('⛰️', currentScene?.id, '↩');
@@ -1674,11 +3528,45 @@ export default (novelTag, factories, {
 
   const sleep = (ms) => {
     return new Promise((resolve, reject) => {
+      if (INTERRUPTED) {
+        reject(INTERRUPT_SIGNAL);
+        return;
+      }
       lastReject = reject;
-      setTimeout(resolve, ms);
+      setTimeout(resolve, REPLAYING ? 0 : ms);
     });
   };
 
+  // The scene version of sleep, which is a step of the journal.
+  const wait = async (ms) => {
+    if (journalStep('sleep')[1]) {
+      return;
+    }
+    SLEEPING = true;
+    try {
+      await sleep(ms);
+    } finally {
+      SLEEPING = false;
+    }
+  };
+
+  // A fast non-cryptographic hash (cyrb53), good enough to detect damaged data.
+  const checksum = (str) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  };
+
+  // Identifies a line of the story by the scene and the untranslated text.
+  const lineId = (str) => checksum(state.scene + '\n' + str);
+
   const translate = (str) => {
     if (LANGUAGE !== -1 && typeof str === 'string') {
       const arr = str.split(SPLIT_REGEX);
@@ -1782,30 +3670,164 @@ export default (novelTag, factories, {
     }
   };
 
+  // #region navigation
+  let $focused = null;
+  const gamepadPressed = {};
+  let gamepadFrame;
+
+  const getAction = (key) => {
+    return Object.keys(KEYMAP).find(action => KEYMAP[action]?.includes(key));
+  };
+
+  // The options of the shown choice, or the links of the written page.
+  const getFocusTargets = () => {
+    if (CHOOSING && WAITING_FOR_ACTION && choicesCallback) {
+      return [...$select.querySelectorAll('.' + __ + '-select-option')]
+        .filter($option => !$option.classList.contains(__ + '-select-option-locked'));
+    }
+    if (!storiesCallback && $stories.style.pointerEvents === 'all') {
+      return [...$page.querySelectorAll(`[${pageLinkAttr}]`)];
+    }
+    return [];
+  };
+
+  // The focus is moved in the document too, so that screen readers follow it.
+  const setFocus = ($elem) => {
+    $focused?.classList.remove(__ + '-focused');
+    $focused?.setAttribute('aria-selected', 'false');
+    $focused = $elem;
+    $focused?.classList.add(__ + '-focused');
+    if ($focused?.getAttribute('role') === 'option') {
+      $focused.setAttribute('aria-selected', 'true');
+    }
+    $focused?.focus({ preventScroll: true });
+  };
+
+  // Returns false if there is nothing to focus.
+  const moveFocus = (shift) => {
+    const targets = getFocusTargets();
+    if (!targets.length) {
+      return false;
+    }
+    const index = targets.indexOf($focused);
+    setFocus(
+      index === -1
+        ? targets.at(shift > 0 ? 0 : -1)
+        : targets[(index + shift + targets.length) % targets.length]
+    );
+    return true;
+  };
+
+  // Clicks the focused option or link. Returns false if there is none.
+  const confirmFocus = () => {
+    const $target = $focused;
+    if (!$target || !getFocusTargets().includes($target)) {
+      return false;
+    }
+    if ($select.contains($target)) {
+      onSelectClick({ target: $target });
+    } else {
+      onStoriesClick({ target: $target });
+    }
+    if (!getFocusTargets().includes($target)) {
+      setFocus(null);
+    }
+    return true;
+  };
+
+  // Returns true if the action was handled.
+  const runAction = (action) => {
+    // While the backlog is open, the game does not react to the controls.
+    if (BACKLOG_SHOWN) {
+      if (action === 'backlog' || action === 'menu') {
+        novel.hideBacklog();
+      }
+      return !!action;
+    }
+    switch (action) {
+      case 'advance':
+        if (!confirmFocus()) {
+          onStoriesClick();
+          onDialogsClick();
+          SKIP_TEXT_ANIMATION = true;
+        }
+        return true;
+      case 'previous':
+        return moveFocus(-1);
+      case 'next':
+        return moveFocus(1);
+      case 'rollback':
+        novel.rollback();
+        return true;
+      case 'skip':
+        novel.setSkipMode(!SKIP_READ_TEXT);
+        return true;
+      case 'auto':
+        novel.setAutoMode(!AUTO_READ);
+        return true;
+      case 'backlog':
+        novel.showBacklog();
+        return true;
+      case 'menu':
+        CALLBACKS.onMenu?.();
+        return !!CALLBACKS.onMenu;
+    }
+    return false;
+  };
+
+  const releaseAction = (action) => {
+    if (action === 'advance') {
+      SKIP_TEXT_ANIMATION = false;
+    }
+  };
+
+  // Gamepads have no events for their buttons, so they are polled while any is connected.
+  const pollGamepads = () => {
+    const gamepads = [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+    for (const { index, buttons, axes: [, y = 0] } of gamepads) {
+      const states = [
+        ...buttons.map((button, i) => ['Gamepad' + i, button.pressed]),
+        ['StickUp', y < -0.5],
+        ['StickDown', y > 0.5]
+      ];
+      for (const [name, isPressed] of states) {
+        const key = index + ':' + name;
+        if (isPressed && !gamepadPressed[key]) {
+          runAction(getAction(name));
+        } else if (!isPressed && gamepadPressed[key]) {
+          releaseAction(getAction(name));
+        }
+        gamepadPressed[key] = isPressed;
+      }
+    }
+    gamepadFrame = gamepads.length ? requestAnimationFrame(pollGamepads) : undefined;
+  };
+
+  const onGamepadConnected = () => {
+    if (!gamepadFrame) {
+      pollGamepads();
+    }
+  };
+
   // #region global listeners
-  const onKeyDown = ({ key }) => {
-    if (noKeyboard) {
+
+  // The keys typed into fields, like the answer field of ask() or the inputs of the page, are not the game controls.
+  const isEditable = ($elem) => {
+    return !!($elem?.matches?.('input, textarea, select') || $elem?.isContentEditable);
+  };
+
+  const onKeyDown = (event) => {
+    const { key } = event;
+    if (noKeyboard || isEditable(event.target)) {
       return;
     }
     if (!pressed[key]) {
       pressed[key] = true;
-      switch (key) {
-        case ' ':
-          onStoriesClick();
-          onDialogsClick();
-          SKIP_TEXT_ANIMATION = true;
-          break;
-        case '1':
-        case '2':
-        case '3':
-        case '4':
-        case '5':
-        case '6':
-        case '7':
-        case '8':
-        case '9':
-          onSelectClick(null, key - 1);
-          break;
+      const action = getAction(key);
+      if (runAction(action) && action !== 'advance' && action !== 'rollback') {
+        event.preventDefault();
+      } else if (!BACKLOG_SHOWN && /^[1-9]$/.test(key)) {
+        onSelectClick(null, key - 1);
       }
     }
   };
@@ -1815,11 +3837,7 @@ export default (novelTag, factories, {
       return;
     }
     delete pressed[key];
-    switch (key) {
-      case ' ':
-        SKIP_TEXT_ANIMATION = false;
-        break;
-    }
+    releaseAction(getAction(key));
   };
 
   const onPopState = (_event) => {
@@ -1829,6 +3847,10 @@ export default (novelTag, factories, {
   document.addEventListener('keydown', onKeyDown);
   document.addEventListener('keyup', onKeyUp);
   window.addEventListener('popstate', onPopState);
+  window.addEventListener('gamepadconnected', onGamepadConnected);
+  window.addEventListener('pagehide', flushRecords);
+  document.addEventListener('pointerdown', resumeBlockedAudio);
+  document.addEventListener('keydown', resumeBlockedAudio);
 
   // #region init
   novel = new Novel();
@@ -1837,7 +3859,7 @@ export default (novelTag, factories, {
 
     run() {
       if (!currentScene && state.scene) {
-        novel.runScene(state.scene, state.args, false);
+        novel.start();
       }
       return descriptor;
     },
@@ -1846,11 +3868,87 @@ export default (novelTag, factories, {
       novel.notify(str, ...args);
     },
 
+    // Takes the game one line (or choice) back. Resolves to false if there is nowhere to go.
+    back: () => {
+      return novel.rollback();
+    },
+
+    // Saves the game to the given slot. A thumbnail (e.g. a data URL) is stored in the slot metadata.
+    // Resolves to false if the storage failed (see the onSaveError callback).
+    saveSlot: (slotName, thumbnail = undefined) => {
+      return novel.saveState(slotName, thumbnail);
+    },
+
+    // Switches the running game to the state saved in the given slot. Resolves to false if the slot cannot be loaded.
+    loadSlot: (slotName) => {
+      return novel.loadSlot(slotName);
+    },
+
+    // Resolves to a list of saved slots, the most recent first: { name, time, scene, line, thumbnail }.
+    listSlots: () => {
+      return novel.listSlots();
+    },
+
+    // Resolves to the content of the slot as a JSON string that can be stored in a file.
+    exportSave: (slotName = 'autosave') => {
+      return novel.exportSave(slotName);
+    },
+
+    // Validates the JSON string made by exportSave and writes it to the slot. Rejects if the save is corrupt or foreign.
+    importSave: (blob, slotName = 'autosave') => {
+      return novel.importSave(blob, slotName);
+    },
+
+    // Toggles (or sets) the mode that passes already read lines until an unread one or a choice. Returns the new mode.
+    skip: (enabled = !SKIP_READ_TEXT) => {
+      return novel.setSkipMode(enabled);
+    },
+
+    // Turns off (or on) the animation of the text fragments and portraits.
+    setReducedMotion: (enabled = true) => {
+      novel.setReducedMotion(enabled);
+    },
+
+    // Sets the typewriter speed in characters per second. Zero shows the text at once.
+    setTextSpeed: (charsPerSecond) => {
+      textSpeed = Math.max(0, +charsPerSecond || 0);
+    },
+
+    // Toggles (or sets) the mode that advances lines on their own after the time needed to read them. Returns the new mode.
+    auto: (enabled = !AUTO_READ) => {
+      return novel.setAutoMode(enabled);
+    },
+
     clearSaveSlot: (slotName = 'autosave') => {
       return novel.clearSaveSlot(slotName);
     },
 
+    // Plays the voice of the line with the given index in getHistory() again. Returns false if there is no voice.
+    replayVoice: (historyIndex) => {
+      return novel.replayVoice(historyIndex);
+    },
+
+    // Sets the volume of an audio channel ("music", "ambience", "sfx" or "voice") from 0 to 1.
+    setVolume: (channel, value) => {
+      setVolume(channel, value);
+    },
+
+    getVolume: (channel) => volumes[channel],
+
+    // Gives the versioned URL of an asset, the same the engine uses. Can be passed to the helpers as "resolveUrl".
+    resolveAssetUrl: (path) => {
+      return IMPLEMENTED.resolveAssetUrl(path);
+    },
+
+    // Loads the image into the cache shared with the characters. Resolves to false if the image is missing.
+    loadImage: (path) => {
+      return loadImage(path);
+    },
+
     remove: () => {
+      flushRecords();
+      stopAudio();
+      clearTimeout(choiceTimeout);
       GAME_ENDED = true;
       removeListeners();
       $container.remove();
@@ -1863,6 +3961,11 @@ export default (novelTag, factories, {
       lastReject?.(ABORT_SIGNAL);
     },
 
+    // Shows (or hides) the panel with the lines, passages and choices passed. Returns whether it is shown.
+    backlog: (show = !BACKLOG_SHOWN) => {
+      return show ? novel.showBacklog() : novel.hideBacklog();
+    },
+
     getHistory: () => history,
 
     $: stateProxy,